@@ -0,0 +1,68 @@
+// Named palettes and colour mappings.
+// A palette is a gradient (colours blended along 0..1) or a set of discrete
+// swatches. A mapping turns a particle's state into a position on the palette,
+// so colour can follow speed, lifespan, distance to the landmark, facial
+// feature or depth. Presets pick a palette and a mapping (colorPalette,
+// colorMapping) and can cycle the palette over time (colorCycle); with
+// colorPalette 'none' particles keep the per-channel ranges of `palette`.
+
+const NAMED_PALETTES = {};
+const PALETTE_NAMES = ['none']; // Valid colorPalette values, kept in step with NAMED_PALETTES
+
+// Add (or replace) a palette: { type: 'gradient' | 'swatches', colors: [[r, g, b], ...] }
+function registerPalette(name, palette) {
+    NAMED_PALETTES[name] = palette;
+    if (!PALETTE_NAMES.includes(name)) {
+        PALETTE_NAMES.push(name);
+    }
+}
+
+registerPalette('Pastel', { type: 'gradient', colors: [[255, 190, 200], [255, 230, 180], [190, 240, 210], [180, 210, 255], [220, 190, 255]] });
+registerPalette('Fire', { type: 'gradient', colors: [[60, 10, 0], [200, 40, 0], [255, 140, 20], [255, 230, 120], [255, 255, 230]] });
+registerPalette('Ice', { type: 'gradient', colors: [[20, 30, 90], [40, 120, 200], [120, 210, 240], [235, 250, 255]] });
+registerPalette('Aurora', { type: 'gradient', colors: [[20, 230, 150], [40, 180, 230], [150, 80, 230], [240, 80, 180]] });
+registerPalette('Mono', { type: 'gradient', colors: [[70, 70, 80], [255, 255, 255]] });
+registerPalette('Neon', { type: 'swatches', colors: [[255, 40, 150], [40, 240, 255], [200, 255, 40], [255, 200, 30], [150, 80, 255]] });
+registerPalette('Features', {
+    type: 'swatches',
+    // One swatch per facial feature, in FACIAL_FEATURES order (for the 'feature' mapping)
+    colors: [[0, 220, 255], [0, 220, 255], [255, 60, 110], [255, 200, 80], [170, 120, 255], [170, 120, 255], [120, 255, 160], [230, 230, 230]]
+});
+
+// Particle state -> position on the palette, from 0 to 1
+const COLOR_MAPPINGS = {
+    random: (system, i) => fract(system.particles.seed[i] * 17),
+    speed: (system, i) => {
+        const vel = system.particles.velocity;
+        return Math.min(1, Math.sqrt(vel[i * 2] * vel[i * 2] + vel[i * 2 + 1] * vel[i * 2 + 1]) / system.maxSpeed);
+    },
+    lifespan: (system, i) => system.particles.lifespan[i] / 255,
+    distance: (system, i) => Math.min(1, system.particles.distance[i] / system.attractionRadius),
+    feature: (system, i) => (system.particles.feature[i] + 0.5) / FACIAL_FEATURES.length,
+    depth: (system, i) => system.particles.depth[i]
+};
+const COLOR_MAPPING_NAMES = Object.keys(COLOR_MAPPINGS);
+
+// Colour at t on a palette, shifted by `offset` (e.g. time * cycles per second).
+// Shifting goes up the palette and back down, so animated gradients never jump.
+// Writes [r, g, b] into out.
+function paletteColor(palette, t, offset = 0, out = [0, 0, 0]) {
+    const u = 1 - Math.abs(1 - fract((t + offset) / 2) * 2);
+    const colors = palette.colors;
+
+    if (palette.type === 'swatches' || colors.length === 1) {
+        const color = colors[Math.min(Math.floor(u * colors.length), colors.length - 1)];
+        out[0] = color[0];
+        out[1] = color[1];
+        out[2] = color[2];
+        return out;
+    }
+
+    const s = u * (colors.length - 1);
+    const k = Math.min(Math.floor(s), colors.length - 2);
+    const f = s - k;
+    for (let c = 0; c < 3; c++) {
+        out[c] = colors[k][c] + (colors[k + 1][c] - colors[k][c]) * f;
+    }
+    return out;
+}
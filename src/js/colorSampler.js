@@ -0,0 +1,82 @@
+// VideoColorSampler reads colours from the hidden source frame, so particles
+// can take on the tones of the person in front of the camera. Each frame is
+// shrunk onto a small offscreen canvas, samples average a block of its
+// pixels and colours are quantised to a few steps per channel: the swarm
+// picks up skin, hair and clothing tones without ever showing the video.
+class VideoColorSampler {
+    constructor(width = 64, levels = 6) {
+        this.width = width;       // Width of the shrunk frame; the height follows the source
+        this.height = 0;
+        this.levels = levels;     // Steps per colour channel
+        this.radius = 1;          // Samples average (2 * radius + 1)^2 pixels of the shrunk frame
+        this.canvas = null;
+        this.context = null;
+        this.pixels = null;       // RGBA of the current frame, null when there is none
+        this.scaleX = 1;          // Source pixels to shrunk frame pixels
+        this.scaleY = 1;
+        this.hasWarned = false;
+    }
+
+    // Grab the current frame of a media element (p5 element or DOM element).
+    // Returns false when there is no frame to read.
+    update(element, sourceWidth, sourceHeight) {
+        this.pixels = null;
+        const media = element && (element.elt || element);
+        if (!media || !(sourceWidth > 0) || !(sourceHeight > 0)) return false;
+        if (media.readyState !== undefined && media.readyState < 2) return false; // Video without a frame yet
+
+        const height = Math.max(1, Math.round(this.width * sourceHeight / sourceWidth));
+        if (!this.canvas || height !== this.height) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = this.width;
+            this.canvas.height = height;
+            this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+            this.height = height;
+        }
+        this.scaleX = this.width / sourceWidth;
+        this.scaleY = this.height / sourceHeight;
+
+        try {
+            this.context.drawImage(media, 0, 0, this.width, this.height);
+            this.pixels = this.context.getImageData(0, 0, this.width, this.height).data;
+        } catch (err) {
+            // E.g. a cross-origin clip, which taints the canvas
+            if (!this.hasWarned) {
+                console.warn("Could not read colours from the source frame:", err);
+                this.hasWarned = true;
+            }
+            return false;
+        }
+        return true;
+    }
+
+    // Averaged, quantised colour around a point in source pixels, as [r, g, b]; null without a frame
+    sample(x, y) {
+        if (!this.pixels) return null;
+
+        const cx = Math.floor(x * this.scaleX);
+        const cy = Math.floor(y * this.scaleY);
+        let r = 0, g = 0, b = 0, count = 0;
+        for (let py = Math.max(0, cy - this.radius); py <= Math.min(this.height - 1, cy + this.radius); py++) {
+            for (let px = Math.max(0, cx - this.radius); px <= Math.min(this.width - 1, cx + this.radius); px++) {
+                const k = (py * this.width + px) * 4;
+                r += this.pixels[k];
+                g += this.pixels[k + 1];
+                b += this.pixels[k + 2];
+                count++;
+            }
+        }
+        if (count === 0) return null; // Outside the frame
+
+        const step = 255 / (this.levels - 1);
+        return [r, g, b].map(sum => Math.round(sum / count / step) * step);
+    }
+
+    // Tag canvas-space points with the colour under their source-space
+    // counterparts (same order, e.g. keypoints before and after ViewportTransform.mapPoints)
+    colorPoints(sourcePoints, points) {
+        for (let k = 0; k < points.length && k < sourcePoints.length; k++) {
+            points[k].color = this.sample(sourcePoints[k].x, sourcePoints[k].y);
+        }
+    }
+}
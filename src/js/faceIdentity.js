@@ -0,0 +1,92 @@
+// FaceIdentityTracker keeps stable ids for faces across detections.
+// Faces are matched by position and size only (no recognition): each detection
+// is paired with the closest existing track, relative to the face size.
+// A track that goes unmatched for a few detections is dropped.
+class FaceIdentityTracker {
+    constructor(options = {}) {
+        this.maxCost = options.maxCost || 1.0;   // Match threshold (face-size units)
+        this.maxMissed = options.maxMissed || 4; // Detections a face may be missing before it is dropped
+        this.tracks = [];
+        this.nextId = 0;
+    }
+
+    // Summarize a point set as centre and size (bounding-box diagonal)
+    describe(points) {
+        let minX = Infinity, maxX = -Infinity;
+        let minY = Infinity, maxY = -Infinity;
+        for (const point of points) {
+            minX = Math.min(minX, point.x);
+            maxX = Math.max(maxX, point.x);
+            minY = Math.min(minY, point.y);
+            maxY = Math.max(maxY, point.y);
+        }
+        return {
+            x: (minX + maxX) / 2,
+            y: (minY + maxY) / 2,
+            size: Math.max(Math.hypot(maxX - minX, maxY - minY), 1)
+        };
+    }
+
+    // Cost of matching a detection to a track: centre distance over face size,
+    // plus how much the size changed
+    cost(track, detection) {
+        const distance = Math.hypot(track.x - detection.x, track.y - detection.y);
+        return distance / Math.max(track.size, detection.size) + Math.abs(Math.log(detection.size / track.size));
+    }
+
+    // Match a new set of detections (arrays of points).
+    // Returns { ids, removed }: the id for each detection, in order, and ids of faces that left.
+    update(pointSets) {
+        const detections = pointSets.map(points => this.describe(points));
+
+        // Greedy assignment, cheapest pairs first
+        const pairs = [];
+        for (let t = 0; t < this.tracks.length; t++) {
+            for (let d = 0; d < detections.length; d++) {
+                const cost = this.cost(this.tracks[t], detections[d]);
+                if (cost < this.maxCost) {
+                    pairs.push({ t, d, cost });
+                }
+            }
+        }
+        pairs.sort((a, b) => a.cost - b.cost);
+
+        const ids = new Array(detections.length).fill(null);
+        const matchedTracks = new Set();
+        for (const { t, d } of pairs) {
+            if (matchedTracks.has(t) || ids[d] !== null) continue;
+            const track = this.tracks[t];
+            Object.assign(track, detections[d], { missed: 0 });
+            ids[d] = track.id;
+            matchedTracks.add(t);
+        }
+
+        // New faces
+        for (let d = 0; d < detections.length; d++) {
+            if (ids[d] !== null) continue;
+            const track = { id: this.nextId++, missed: 0, ...detections[d] };
+            this.tracks.push(track);
+            matchedTracks.add(this.tracks.length - 1);
+            ids[d] = track.id;
+        }
+
+        // Faces that were not seen this time
+        const removed = [];
+        this.tracks = this.tracks.filter((track, t) => {
+            if (matchedTracks.has(t)) return true;
+            track.missed++;
+            if (track.missed > this.maxMissed) {
+                removed.push(track.id);
+                return false;
+            }
+            return true;
+        });
+
+        return { ids, removed };
+    }
+
+    // Forget every face
+    reset() {
+        this.tracks = [];
+    }
+}
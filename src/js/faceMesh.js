@@ -1,28 +1,58 @@
 // FaceTracker class for handling facial recognition
 class FaceTracker {
-    constructor() {
+    constructor(source = null, options = {}) {
+        this.source = source; // LandmarkSource to run detection on (webcam by default)
         this.video = null;
         this.faceMesh = null;
-        this.landmarks = [];
+        this.landmarks = []; // Landmarks and keypoints of the primary (longest-tracked) face
         this.keypoints = [];
         this.isReady = false;
+        this.isDisposed = false; // Set by dispose(); a setup() still in progress stops at its next step
         this.options = {
-            flipHorizontal: true,  // Flip camera horizontally for selfie view
-            maxFaces: 1            // Track only one face for performance
+            flipHorizontal: false, // Keep landmarks in source pixels; ViewportTransform does the mirroring
+            maxFaces: options.maxFaces || 1 // More faces cost more detection time
         };
         this.isProcessing = false; // Flag to prevent concurrent processing
         this.tensorCleanupEnabled = true; // Enable tensor cleanup (can be disabled for debugging)
         this.detectionInterval = 100; // Detection interval in ms
         this.isML5_0_12_2 = false; // Flag for specific version handling
         this.tensorCleanupInterval = null; // To store tensor cleanup interval
+        this.recorder = null; // Optional LandmarkRecorder fed by processFaceDetection()
+        this.isReplaying = false; // True when the source replays a recorded timeline
+        this.lastReplayFrame = null;
+        
+        // Tracked faces with stable ids (see faceIdentity.js)
+        this.identities = new FaceIdentityTracker();
+        this.faces = new Map(); // Face id -> { id, landmarks, keypoints, smoother, smoothedKeypoints, smoothedFrom, meshSmoother, smoothedMesh, actions, pose }
+        
+        // Facial action events (blink, mouthOpen...) go to this bus (see facialActions.js)
+        this.actionBus = options.actionBus || null;
+        
+        // Smoothing between detections (see landmarkFilter.js)
+        this.smoothingOptions = options.smoothing || {};
+        this.smoothedKeypoints = [];
+        
+        // Also smooth each face's full 468-point mesh, for the face surface (see faceSurface.js)
+        this.withMesh = false;
     }
 
     // Initialize the face tracker
     async setup() {
-        // Create video element for webcam feed
-        this.video = createCapture(VIDEO);
-        this.video.size(640, 480);
-        this.video.hide(); // Hide the video element
+        // Prepare the input; the detector reads from the source's media element
+        if (!this.source) {
+            this.source = new WebcamSource();
+        }
+        await this.source.setup();
+        if (this.isDisposed) return; // The source was swapped while it was starting
+        this.video = this.source.getElement();
+        
+        // Recorded timelines already contain landmarks, so no detector is needed
+        if (this.source.providesLandmarks) {
+            console.log("Replaying recorded landmarks; face detector not started");
+            this.isReplaying = true;
+            this.isReady = true;
+            return;
+        }
         
         console.log("ml5 version:", ml5.version);
         
@@ -94,22 +124,28 @@ class FaceTracker {
         try {
             // Special case for imageClassifier
             if (this.useImageClassifier) {
-                this.faceMeshInstance = await this.faceMesh('MobileNet', this.video, () => {
+                const instance = await this.faceMesh('MobileNet', this.video, () => {
+                    if (this.isDisposed) return;
                     console.log('Using MobileNet as a basic detector');
                     this.isReady = true;
                     // Start detection loop for this special case
                     this.detectWithClassifier();
                 });
+                if (this.releaseIfDisposed(instance)) return;
+                this.faceMeshInstance = instance;
             } else {
                 // Standard case for facemesh and similar APIs
-                this.faceMeshInstance = await this.faceMesh(
+                const instance = await this.faceMesh(
                     this.video, 
                     this.options, 
                     () => {
+                        if (this.isDisposed) return;
                         console.log('Face detection model loaded');
                         this.isReady = true;
                     }
                 );
+                if (this.releaseIfDisposed(instance)) return;
+                this.faceMeshInstance = instance;
                 
                 // For FaceMesh in ml5.js 0.12.2, use polling approach which is more reliable
                 if (this.useFaceMeshApi && ml5.version === "0.12.2") {
@@ -160,6 +196,19 @@ class FaceTracker {
         }
     }
     
+    // Dispose of a model that finished loading after the tracker was disposed; returns whether it did
+    releaseIfDisposed(instance) {
+        if (!this.isDisposed) return false;
+        if (instance && instance.dispose) {
+            try {
+                instance.dispose();
+            } catch (err) {
+                console.warn("Error disposing faceMesh instance:", err);
+            }
+        }
+        return true;
+    }
+    
     // Special detection method for imageClassifier fallback
     async detectWithClassifier() {
         if (!this.isReady || !this.faceMeshInstance) return;
@@ -194,27 +243,31 @@ class FaceTracker {
         const landmarks = [];
         const keypoints = [];
         
-        // Create a face-like pattern of points
-        const centerX = width / 2;
-        const centerY = height / 2;
-        const faceSize = min(width, height) * 0.3;
+        // Create a face-like pattern of points in source pixels,
+        // so they go through the same viewport mapping as real landmarks
+        const sourceSize = this.getSourceSize();
+        const sourceWidth = sourceSize.width || width;
+        const sourceHeight = sourceSize.height || height;
+        const centerX = sourceWidth / 2;
+        const centerY = sourceHeight / 2;
+        const faceSize = min(sourceWidth, sourceHeight) * 0.3;
         
         // Eye positions (left and right)
-        keypoints.push(createVector(centerX - faceSize * 0.2, centerY - faceSize * 0.2));
-        keypoints.push(createVector(centerX + faceSize * 0.2, centerY - faceSize * 0.2));
+        keypoints.push(tagKeypoint(createVector(centerX - faceSize * 0.2, centerY - faceSize * 0.2), 'leftEye'));
+        keypoints.push(tagKeypoint(createVector(centerX + faceSize * 0.2, centerY - faceSize * 0.2), 'rightEye'));
         
         // Nose position
-        keypoints.push(createVector(centerX, centerY));
+        keypoints.push(tagKeypoint(createVector(centerX, centerY), 'nose'));
         
         // Mouth positions
-        keypoints.push(createVector(centerX - faceSize * 0.15, centerY + faceSize * 0.2));
-        keypoints.push(createVector(centerX + faceSize * 0.15, centerY + faceSize * 0.2));
+        keypoints.push(tagKeypoint(createVector(centerX - faceSize * 0.15, centerY + faceSize * 0.2), 'lips'));
+        keypoints.push(tagKeypoint(createVector(centerX + faceSize * 0.15, centerY + faceSize * 0.2), 'lips'));
         
         // Face outline
         for (let angle = 0; angle < TWO_PI; angle += PI / 8) {
             const x = centerX + cos(angle) * faceSize * 0.5;
             const y = centerY + sin(angle) * faceSize * 0.5;
-            keypoints.push(createVector(x, y));
+            keypoints.push(tagKeypoint(createVector(x, y), 'faceContour'));
         }
         
         // Add some movement based on time
@@ -224,8 +277,7 @@ class FaceTracker {
             point.y += cos(time + point.x * 0.1) * 2;
         }
         
-        this.landmarks = landmarks;
-        this.keypoints = keypoints;
+        this.updateFaces([{ landmarks, keypoints }]);
     }
     
     // Patch TensorFlow.js to make it more robust (specifically for ml5.js 0.12.2)
@@ -407,69 +459,142 @@ class FaceTracker {
     processFaceDetection(results) {
         if (!results) {
             console.warn("No results from face detection");
-            this.landmarks = [];
-            this.keypoints = [];
+            this.updateFaces([]);
             return;
         }
         
-        // Create a deep copy of landmarks to avoid tensor disposal issues
-        let processedLandmarks = [];
-        
-        // Different ml5 versions and APIs return different data structures
-        // Try to handle various formats
         try {
-            if (Array.isArray(results) && results.length > 0) {
-                // Most common format: array of face detections
-                const firstResult = results[0];
-                
-                if (firstResult.scaledMesh) {
-                    // FaceMesh format
-                    processedLandmarks = this.deepCopyLandmarks(firstResult.scaledMesh);
-                } else if (firstResult.mesh) {
-                    // Alternative FaceMesh format
-                    processedLandmarks = this.deepCopyLandmarks(firstResult.mesh);
-                } else if (firstResult.landmarks && firstResult.landmarks.positions) {
-                    // FaceApi format
-                    processedLandmarks = this.deepCopyLandmarks(firstResult.landmarks.positions);
-                } else if (firstResult.keypoints) {
-                    // PoseNet format
-                    processedLandmarks = firstResult.keypoints.map(kp => [kp.position.x, kp.position.y, 0]);
-                } else if (firstResult.parts) {
-                    // BodyPix format (unlikely but possible)
-                    processedLandmarks = Object.values(firstResult.parts)
-                        .flat()
-                        .map(point => [point.x, point.y, 0]);
-                }
-            } else if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-                // MediaPipe Facemesh format
-                processedLandmarks = this.deepCopyLandmarks(results.multiFaceLandmarks[0]);
-            } else if (results.faceLandmarks) {
-                // Single face landmarks format
-                processedLandmarks = this.deepCopyLandmarks(results.faceLandmarks);
-            } else if (typeof results === 'object' && results.poseLandmarks) {
-                // MediaPipe Pose format (can be used as fallback)
-                processedLandmarks = this.deepCopyLandmarks(results.poseLandmarks);
-            } else {
-                console.warn("Unrecognized face detection result format:", results);
-                processedLandmarks = [];
-            }
-            
-            // Update landmarks with deep-copied values
-            this.landmarks = processedLandmarks;
+            // Deep-copied landmarks for each detected face
+            const landmarkSets = this.parseDetections(results);
             
             // Extract key facial feature points
-            if (this.landmarks && this.landmarks.length > 0) {
-                this.keypoints = this.extractKeypoints(this.landmarks);
-            } else {
-                this.keypoints = [];
+            const detections = landmarkSets.map(landmarks => ({
+                landmarks: landmarks,
+                keypoints: this.extractKeypoints(landmarks)
+            }));
+            
+            this.updateFaces(detections);
+            
+            if (this.recorder) {
+                this.recorder.capture(detections);
             }
         } catch (err) {
             console.error("Error processing face detection results:", err);
-            this.landmarks = [];
-            this.keypoints = [];
+            this.updateFaces([]);
         }
     }
     
+    // Get a deep copy of the landmarks of each detected face (up to maxFaces)
+    parseDetections(results) {
+        const maxFaces = this.options.maxFaces;
+        
+        // Different ml5 versions and APIs return different data structures
+        // Try to handle various formats
+        if (Array.isArray(results)) {
+            // Most common format: array of face detections
+            return results.slice(0, maxFaces)
+                .map(result => this.landmarksFromResult(result))
+                .filter(landmarks => landmarks.length > 0);
+        } else if (results.multiFaceLandmarks) {
+            // MediaPipe Facemesh format
+            return results.multiFaceLandmarks.slice(0, maxFaces)
+                .map(landmarks => this.deepCopyLandmarks(landmarks))
+                .filter(landmarks => landmarks.length > 0);
+        } else if (results.faceLandmarks) {
+            // Single face landmarks format
+            return [this.deepCopyLandmarks(results.faceLandmarks)];
+        } else if (typeof results === 'object' && results.poseLandmarks) {
+            // MediaPipe Pose format (can be used as fallback)
+            return [this.deepCopyLandmarks(results.poseLandmarks)];
+        }
+        
+        console.warn("Unrecognized face detection result format:", results);
+        return [];
+    }
+    
+    // Get the landmarks of a single detection in an array of results
+    landmarksFromResult(result) {
+        if (!result) return [];
+        
+        if (result.scaledMesh) {
+            // FaceMesh format
+            return this.deepCopyLandmarks(result.scaledMesh);
+        } else if (result.mesh) {
+            // Alternative FaceMesh format
+            return this.deepCopyLandmarks(result.mesh);
+        } else if (result.landmarks && result.landmarks.positions) {
+            // FaceApi format
+            return this.deepCopyLandmarks(result.landmarks.positions);
+        } else if (result.keypoints) {
+            // PoseNet format
+            return result.keypoints.map(kp => [kp.position.x, kp.position.y, 0]);
+        } else if (result.parts) {
+            // BodyPix format (unlikely but possible)
+            return Object.values(result.parts)
+                .flat()
+                .map(point => [point.x, point.y, 0]);
+        }
+        return [];
+    }
+    
+    // Match detections ({ landmarks, keypoints }) to tracked faces and update them.
+    // Each detection gets the id of its face; faces missing for too long are dropped.
+    updateFaces(detections) {
+        detections = detections.filter(detection => detection.keypoints.length > 0);
+        const { ids, removed } = this.identities.update(detections.map(detection => detection.keypoints));
+        
+        detections.forEach((detection, i) => {
+            detection.id = ids[i];
+            let face = this.faces.get(detection.id);
+            if (!face) {
+                face = {
+                    id: detection.id,
+                    smoother: new KeypointSmoother(this.smoothingOptions),
+                    smoothedKeypoints: [],
+                    smoothedFrom: null, // The raw keypoint set last fed to the smoother
+                    meshSmoother: new KeypointSmoother(this.smoothingOptions),
+                    smoothedMesh: [],
+                    actions: new FacialActionDetector(this.actionBus, detection.id),
+                    poseFilter: new HeadPoseFilter(),
+                    pose: { yaw: 0, pitch: 0, roll: 0 }
+                };
+                this.faces.set(face.id, face);
+            }
+            face.landmarks = detection.landmarks;
+            face.keypoints = detection.keypoints;
+            face.actions.update(face.landmarks);
+            face.pose = face.poseFilter.update(estimateHeadPose(face.landmarks), performance.now());
+        });
+        
+        for (const id of removed) {
+            this.faces.delete(id);
+        }
+        
+        // The single-face getters follow the primary face
+        const primary = this.getPrimaryFace();
+        this.landmarks = primary ? primary.landmarks : [];
+        this.keypoints = primary ? primary.keypoints : [];
+    }
+    
+    // The face that has been tracked the longest (lowest id)
+    getPrimaryFace() {
+        let primary = null;
+        for (const face of this.faces.values()) {
+            if (!primary || face.id < primary.id) {
+                primary = face;
+            }
+        }
+        return primary;
+    }
+    
+    // The full FaceMesh as { x, y, z } points in landmark order, or none for other layouts
+    meshPoints(landmarks) {
+        if (!landmarks || landmarks.length < 468) return [];
+        return landmarks.map(landmark => Array.isArray(landmark)
+            ? { x: landmark[0], y: landmark[1], z: landmark[2] || 0 }
+            : { x: landmark.x, y: landmark.y, z: landmark.z || 0 });
+    }
+    
     // Create a deep copy of landmarks to avoid tensor disposal issues
     deepCopyLandmarks(landmarks) {
         if (!landmarks || !landmarks.length) return [];
@@ -496,7 +621,8 @@ class FaceTracker {
         }
     }
 
-    // Extract important facial landmarks for particle attraction
+    // Extract important facial landmarks for particle attraction.
+    // Each keypoint is a p5.Vector (x, y, z) tagged with its feature and landmark index.
     extractKeypoints(landmarks) {
         if (!landmarks || landmarks.length === 0) {
             return [];
@@ -504,93 +630,38 @@ class FaceTracker {
         
         const keypoints = [];
         
-        // Define groups of important facial features
-        // These indices are based on the FaceMesh 468 points model
-        
-        // Eye contours (left and right)
-        const leftEye = [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246];
-        const rightEye = [362, 382, 381, 380, 374, 373, 390, 249, 263, 466, 388, 387, 386, 385, 384, 398];
-        
-        // Lips contour
-        const lips = [61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185];
-        
-        // Nose
-        const nose = [1, 2, 3, 4, 5, 6, 168, 197, 195, 5, 4, 98, 97, 2, 326, 327];
-        
-        // Eyebrows
-        const leftEyebrow = [70, 63, 105, 66, 107, 55, 65, 52, 53, 46];
-        const rightEyebrow = [336, 296, 334, 293, 300, 276, 283, 282, 295, 285];
-        
-        // Face contour (jawline)
-        const faceContour = [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109, 10];
-
-        // Helper function to add points with some variance
-        const addFeaturePoints = (indices, spacing = 1) => {
-            for (let i = 0; i < indices.length; i += spacing) {
-                const idx = indices[i];
-                // Safely access landmarks to avoid errors
-                if (idx < landmarks.length && landmarks[idx]) {
-                    try {
-                        // Handle different landmark formats (array or object with x,y)
-                        let point;
-                        if (Array.isArray(landmarks[idx])) {
-                            point = createVector(landmarks[idx][0], landmarks[idx][1]);
-                        } else if (landmarks[idx].x !== undefined && landmarks[idx].y !== undefined) {
-                            point = createVector(landmarks[idx].x, landmarks[idx].y);
-                        } else {
-                            continue; // Skip if format is unknown
-                        }
-                        keypoints.push(point);
-                    } catch (err) {
-                        // If there's an error accessing a landmark, just skip it
-                        continue;
-                    }
-                }
+        // Helper function to add a landmark as a tagged keypoint
+        const addPoint = (idx, feature) => {
+            const landmark = landmarks[idx];
+            if (!landmark) return;
+            
+            // Handle different landmark formats (array or object with x,y), keeping depth (z)
+            let point;
+            if (Array.isArray(landmark)) {
+                point = createVector(landmark[0], landmark[1], landmark[2] || 0);
+            } else if (landmark.x !== undefined && landmark.y !== undefined) {
+                point = createVector(landmark.x, landmark.y, landmark.z || 0);
+            } else {
+                return; // Skip if format is unknown
             }
+            keypoints.push(tagKeypoint(point, feature, idx));
         };
         
         try {
-            // Check if we have enough landmarks for the full face model
-            if (landmarks.length >= 468) {
-                // Full FaceMesh model with 468 points
-                addFeaturePoints(leftEye, 1);
-                addFeaturePoints(rightEye, 1);
-                addFeaturePoints(lips, 1);
-                addFeaturePoints(nose, 2);
-                addFeaturePoints(leftEyebrow, 1);
-                addFeaturePoints(rightEyebrow, 1);
-                addFeaturePoints(faceContour, 3);
-            } else if (landmarks.length >= 68) {
-                // Likely the 68-point face model used in some APIs
-                // Remap the indices for this model
-                const eyeIndices = [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47];
-                const mouthIndices = [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67];
-                const noseIndices = [27, 28, 29, 30, 31, 32, 33, 34, 35];
-                const jawIndices = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16];
-                
-                addFeaturePoints(eyeIndices, 1);
-                addFeaturePoints(mouthIndices, 1);
-                addFeaturePoints(noseIndices, 1);
-                addFeaturePoints(jawIndices, 2);
+            // Known models (468-point FaceMesh, 68-point faceApi, PoseNet) have
+            // a layout in facialFeatures.js
+            const layout = getFacialFeatureLayout(landmarks.length);
+            if (layout) {
+                for (const feature in layout.features) {
+                    const { indices, spacing = 1 } = layout.features[feature];
+                    for (let i = 0; i < indices.length; i += spacing) {
+                        addPoint(indices[i], feature);
+                    }
+                }
             } else {
                 // For other models with fewer points, just use all available points
                 for (let i = 0; i < landmarks.length; i++) {
-                    if (landmarks[i]) {
-                        try {
-                            let point;
-                            if (Array.isArray(landmarks[i])) {
-                                point = createVector(landmarks[i][0], landmarks[i][1]);
-                            } else if (landmarks[i].x !== undefined && landmarks[i].y !== undefined) {
-                                point = createVector(landmarks[i].x, landmarks[i].y);
-                            } else {
-                                continue;
-                            }
-                            keypoints.push(point);
-                        } catch (err) {
-                            // Skip on error
-                            continue;
-                        }
-                    }
+                    addPoint(i, 'other');
                 }
             }
         } catch (err) {
@@ -600,13 +671,85 @@ class FaceTracker {
         return keypoints;
     }
 
+    // Per-frame update, called from draw(); advances replayed timelines
+    // and resamples the smoothed keypoints for this frame
+    update() {
+        if (!this.isReady) return;
+        
+        if (this.isReplaying) {
+            const frame = this.source.nextFrame();
+            if (frame && frame !== this.lastReplayFrame) {
+                this.applyReplayFrame(frame);
+                this.lastReplayFrame = frame;
+            }
+        }
+        
+        // Feed each new detection to its face's smoother once
+        const now = performance.now();
+        for (const face of this.faces.values()) {
+            if (face.keypoints !== face.smoothedFrom) {
+                face.smoother.addSample(face.keypoints, now);
+                if (this.withMesh) {
+                    face.meshSmoother.addSample(this.meshPoints(face.landmarks), now);
+                }
+                face.smoothedFrom = face.keypoints;
+            }
+            face.smoothedKeypoints = face.smoother.sample(now);
+            if (this.withMesh) {
+                face.smoothedMesh = face.meshSmoother.sample(now);
+            } else if (face.smoothedMesh.length > 0) {
+                // Start afresh when the mesh is wanted again
+                face.meshSmoother.reset();
+                face.smoothedMesh = [];
+            }
+        }
+        
+        const primary = this.getPrimaryFace();
+        this.smoothedKeypoints = primary ? primary.smoothedKeypoints : [];
+    }
+    
+    // Load a recorded frame as if it had just been detected
+    applyReplayFrame(frame) {
+        const detections = frame.faces.map(recorded => {
+            const landmarks = this.deepCopyLandmarks(recorded.landmarks || []);
+            return {
+                landmarks: landmarks,
+                // Faces without a mesh (e.g. simulated landmarks) only carry keypoints
+                keypoints: landmarks.length > 0
+                    ? this.extractKeypoints(landmarks)
+                    : (recorded.keypoints || []).map(([x, y, z, feature = 'other', index = -1]) =>
+                        tagKeypoint(createVector(x, y, z || 0), feature, index))
+            };
+        });
+        this.updateFaces(detections);
+    }
+    
+    // Change smoothing settings for every tracked face
+    setSmoothingOptions(options) {
+        Object.assign(this.smoothingOptions, options);
+        for (const face of this.faces.values()) {
+            face.smoother.setOptions(this.smoothingOptions);
+            face.meshSmoother.setOptions(this.smoothingOptions);
+        }
+    }
+    
+    // Attach a recorder that captures every processed detection
+    setRecorder(recorder) {
+        this.recorder = recorder;
+    }
+
     // Check if face tracker is ready
     isTrackerReady() {
         return this.isReady;
     }
 
-    // Get current facial keypoints for particle attraction
+    // Get current facial keypoints for particle attraction, smoothed for this frame
     getKeypoints() {
+        return this.smoothedKeypoints;
+    }
+
+    // Get the keypoints of the latest detection, without smoothing
+    getRawKeypoints() {
         return this.keypoints;
     }
 
@@ -615,13 +758,44 @@ class FaceTracker {
         return this.landmarks;
     }
 
+    // Get every tracked face, oldest first, with keypoints smoothed for this frame
+    getFaces() {
+        return [...this.faces.values()]
+            .sort((a, b) => a.id - b.id)
+            .map(face => ({
+                id: face.id,
+                landmarks: face.landmarks,
+                keypoints: face.smoothedKeypoints,
+                mesh: face.smoothedMesh,
+                actions: face.actions,
+                pose: face.pose
+            }));
+    }
+
+    // Get the head pose of the primary face: { yaw, pitch, roll } in radians (see headPose.js)
+    getHeadPose() {
+        const primary = this.getPrimaryFace();
+        return primary ? primary.pose : null;
+    }
+
     // Get the video element (for debugging)
     getVideo() {
         return this.video;
     }
+
+    // Get the size of the landmark coordinate space (the source frame size)
+    getSourceSize() {
+        return this.source ? this.source.getSize() : { width: 0, height: 0 };
+    }
+
+    // Get the landmark source currently in use
+    getSource() {
+        return this.source;
+    }
     
     // Clean up resources when done
     dispose() {
+        this.isDisposed = true;
         this.isReady = false;
         this.usePollingForDetection = false;
         
@@ -659,5 +833,11 @@ class FaceTracker {
                 console.warn("Error in aggressive cleanup:", err);
             }
         }
+        
+        // Release the camera, video or image
+        if (this.source) {
+            this.source.dispose();
+        }
+        this.video = null;
     }
 } 
\ No newline at end of file
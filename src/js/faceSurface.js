@@ -0,0 +1,223 @@
+// FaceSurface turns a face's landmarks into a low-poly triangle mesh that can
+// be drawn as a wireframe or a flat-shaded surface, and that particles can
+// cling to, spring to or shatter from.
+//
+// When the full 468-point FaceMesh is tracked, the surface is built on all of
+// its points with the canonical triangulation (see faceMeshTriangulation.js).
+// Other layouts, and the keypoints the particles follow (thinned out by
+// extractKeypoints), are triangulated with Delaunay instead. The triangles are
+// worked out once per layout and then follow the points, so the mesh deforms
+// with the face rather than flickering between topologies.
+
+const FACE_SURFACE_STYLES = ['off', 'wireframe', 'shaded'];
+
+// How particles react to the surface:
+// 'none'   - they ignore it and follow their attraction mode
+// 'cling'  - each particle holds its own spot on a triangle and slides with it
+// 'spring' - each particle is tied to that spot by a spring, so it wobbles and overshoots
+const FACE_SURFACE_INTERACTIONS = ['none', 'cling', 'spring'];
+
+// Delaunay triangulation of points ({x, y}) with the Bowyer-Watson algorithm.
+// Returns triangles as [a, b, c] point indices.
+function triangulate(points) {
+    if (points.length < 3) return [];
+
+    // A triangle that contains every point
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const point of points) {
+        minX = Math.min(minX, point.x);
+        minY = Math.min(minY, point.y);
+        maxX = Math.max(maxX, point.x);
+        maxY = Math.max(maxY, point.y);
+    }
+    const size = Math.max(maxX - minX, maxY - minY, 1) * 20;
+    const midX = (minX + maxX) / 2;
+    const midY = (minY + maxY) / 2;
+    const vertices = points.map(point => ({ x: point.x, y: point.y }));
+    const n = vertices.length;
+    vertices.push({ x: midX - size, y: midY - size }, { x: midX + size, y: midY - size }, { x: midX, y: midY + size });
+
+    // Triangle with its circumcircle, for the containment test
+    const makeTriangle = (a, b, c) => {
+        const A = vertices[a], B = vertices[b], C = vertices[c];
+        const d = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
+        if (Math.abs(d) < 1e-9) return null; // Collinear
+        const a2 = A.x * A.x + A.y * A.y;
+        const b2 = B.x * B.x + B.y * B.y;
+        const c2 = C.x * C.x + C.y * C.y;
+        const x = (a2 * (B.y - C.y) + b2 * (C.y - A.y) + c2 * (A.y - B.y)) / d;
+        const y = (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2 * (B.x - A.x)) / d;
+        return { a, b, c, x, y, rSq: (A.x - x) * (A.x - x) + (A.y - y) * (A.y - y) };
+    };
+
+    let triangles = [makeTriangle(n, n + 1, n + 2)];
+    for (let p = 0; p < n; p++) {
+        const { x, y } = vertices[p];
+
+        // Triangles whose circumcircle holds the point are replaced...
+        const bad = [];
+        const good = [];
+        for (const triangle of triangles) {
+            const dx = x - triangle.x;
+            const dy = y - triangle.y;
+            (dx * dx + dy * dy < triangle.rSq ? bad : good).push(triangle);
+        }
+        if (bad.length === 0) continue; // A duplicate point
+
+        // ...by a fan from the point to the edges of the hole they leave
+        const edges = new Map();
+        for (const { a, b, c } of bad) {
+            for (const [u, v] of [[a, b], [b, c], [c, a]]) {
+                const key = u < v ? `${u},${v}` : `${v},${u}`;
+                edges.set(key, edges.has(key) ? null : [u, v]);
+            }
+        }
+        for (const edge of edges.values()) {
+            if (!edge) continue; // Shared by two bad triangles, so inside the hole
+            const triangle = makeTriangle(edge[0], edge[1], p);
+            if (triangle) good.push(triangle);
+        }
+        triangles = good;
+    }
+
+    return triangles
+        .filter(({ a, b, c }) => a < n && b < n && c < n)
+        .map(({ a, b, c }) => [a, b, c]);
+}
+
+// Drop long thin triangles around the outline, which bridge concave parts of
+// the face (e.g. between the ears and the jaw) rather than cover it
+function pruneTriangles(points, triangles, maxRatio = 3) {
+    const longestEdge = ([a, b, c]) => Math.max(
+        Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y),
+        Math.hypot(points[b].x - points[c].x, points[b].y - points[c].y),
+        Math.hypot(points[c].x - points[a].x, points[c].y - points[a].y)
+    );
+    const lengths = triangles.map(longestEdge);
+    const sorted = [...lengths].sort((x, y) => x - y);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    return triangles.filter((triangle, t) => lengths[t] <= median * maxRatio);
+}
+
+class FaceSurface {
+    constructor() {
+        this.points = [];
+        this.triangles = [];      // [a, b, c] indices into points
+        this.pointCount = -1;     // Layout the triangles were built for
+        this.isFullMesh = false;  // Whether they are the canonical FaceMesh triangles
+        this.centroid = { x: 0, y: 0 };
+        this.shatterStart = -Infinity; // Seconds
+        this.shatterDuration = 1.5;
+        this.light = { x: -0.4, y: -0.5, z: -0.77 }; // Towards the viewer (smaller z is nearer), from the upper left
+    }
+
+    // Follow this frame's points, triangulating again when the layout changes.
+    // Pass the full FaceMesh (468 points in landmark order) as mesh to use its
+    // canonical triangles rather than a Delaunay triangulation of the points.
+    update(points, mesh = null) {
+        const isFullMesh = !!mesh && mesh.length >= 468;
+        if (isFullMesh) {
+            points = mesh;
+        }
+        this.points = points;
+        if (points.length !== this.pointCount || isFullMesh !== this.isFullMesh) {
+            this.pointCount = points.length;
+            this.isFullMesh = isFullMesh;
+            if (isFullMesh) {
+                this.triangles = FACE_MESH_TRIANGLES;
+            } else {
+                this.triangles = points.length >= 3 ? pruneTriangles(points, triangulate(points)) : [];
+            }
+        }
+
+        let x = 0, y = 0;
+        for (const point of points) {
+            x += point.x;
+            y += point.y;
+        }
+        this.centroid.x = points.length > 0 ? x / points.length : 0;
+        this.centroid.y = points.length > 0 ? y / points.length : 0;
+    }
+
+    // Whether there is a surface to draw or hold on to
+    hasTriangles() {
+        return this.triangles.length > 0 && this.points.length === this.pointCount;
+    }
+
+    // Break the surface apart; it reforms after shatterDuration
+    shatter(time) {
+        this.shatterStart = time;
+    }
+
+    // How far through a shatter the surface is, from 0 to 1; -1 when whole
+    shatterProgress(time) {
+        const t = (time - this.shatterStart) / this.shatterDuration;
+        return t >= 0 && t < 1 ? t : -1;
+    }
+
+    // A particle's own spot on the surface, from its seed: a triangle and a point inside it
+    pointFor(seed) {
+        const [a, b, c] = this.triangles[Math.floor(fract(seed * 53) * this.triangles.length)];
+        const A = this.points[a], B = this.points[b], C = this.points[c];
+        let u = fract(seed * 7919);
+        let v = fract(seed * 104729);
+        if (u + v > 1) {
+            u = 1 - u;
+            v = 1 - v;
+        }
+        return {
+            x: A.x + (B.x - A.x) * u + (C.x - A.x) * v,
+            y: A.y + (B.y - A.y) * u + (C.y - A.y) * v,
+            z: (A.z || 0) + ((B.z || 0) - (A.z || 0)) * u + ((C.z || 0) - (A.z || 0)) * v
+        };
+    }
+
+    // Light falling on a triangle, from 0 to 1, from its normal
+    shade(A, B, C) {
+        const ux = B.x - A.x, uy = B.y - A.y, uz = (B.z || 0) - (A.z || 0);
+        const vx = C.x - A.x, vy = C.y - A.y, vz = (C.z || 0) - (A.z || 0);
+        let nx = uy * vz - uz * vy;
+        let ny = uz * vx - ux * vz;
+        let nz = ux * vy - uy * vx;
+        const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+        // Face the viewer whichever way round the triangle is wound
+        const sign = nz > 0 ? -1 : 1;
+        nx *= sign / length;
+        ny *= sign / length;
+        nz *= sign / length;
+        const light = this.light;
+        return 0.25 + 0.75 * Math.max(0, nx * light.x + ny * light.y + nz * light.z);
+    }
+
+    // Draw the mesh in a style from FACE_SURFACE_STYLES, tinted with a palette's middle colour.
+    // While shattered, triangles fly outwards from the centre and fade.
+    draw(style, palette, time) {
+        if (style === 'off' || !this.hasTriangles()) return;
+
+        const mid = channel => (palette[channel][0] + palette[channel][1]) / 2;
+        const progress = this.shatterProgress(time);
+        const spread = progress >= 0 ? progress * 1.5 : 0;
+        const fade = progress >= 0 ? 1 - progress : 1;
+
+        push();
+        if (style === 'wireframe') {
+            noFill();
+            stroke(mid('r'), mid('g'), mid('b'), 90 * fade);
+            strokeWeight(1);
+        } else {
+            noStroke();
+        }
+
+        for (const [a, b, c] of this.triangles) {
+            const A = this.points[a], B = this.points[b], C = this.points[c];
+            const dx = ((A.x + B.x + C.x) / 3 - this.centroid.x) * spread;
+            const dy = ((A.y + B.y + C.y) / 3 - this.centroid.y) * spread;
+            if (style === 'shaded') {
+                const light = this.shade(A, B, C);
+                fill(mid('r') * light, mid('g') * light, mid('b') * light, 150 * fade);
+            }
+            triangle(A.x + dx, A.y + dy, B.x + dx, B.y + dy, C.x + dx, C.y + dy);
+        }
+        pop();
+    }
+}
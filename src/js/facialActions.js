@@ -0,0 +1,236 @@
+// Facial action signals and events derived from the 468-point FaceMesh.
+// Each detection gives continuous signals (eye openness, mouth openness,
+// brow height, smile). Thresholds with hysteresis turn those into discrete
+// events on an EventBus: 'blink', 'mouthOpen', 'mouthClose', 'browRaise', 'smile'.
+
+// Minimal publish/subscribe bus
+class EventBus {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    // Subscribe to an event type; returns a function that unsubscribes
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    // Unsubscribe a handler
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    // Send an event to every subscriber
+    emit(type, detail) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+        for (const handler of handlers) {
+            try {
+                handler(detail);
+            } catch (err) {
+                console.error(`Error in '${type}' handler:`, err);
+            }
+        }
+    }
+}
+
+// Two-threshold switch: turns on above `on`, back off below `off`
+// (or the reverse when on < off, for signals that drop when active)
+class HysteresisTrigger {
+    constructor(on, off) {
+        this.on = on;
+        this.off = off;
+        this.active = false;
+    }
+
+    // Feed a value; returns 'on' or 'off' when the state changes, otherwise null
+    update(value) {
+        const rising = this.on > this.off;
+        if (!this.active && (rising ? value > this.on : value < this.on)) {
+            this.active = true;
+            return 'on';
+        }
+        if (this.active && (rising ? value < this.off : value > this.off)) {
+            this.active = false;
+            return 'off';
+        }
+        return null;
+    }
+}
+
+// FaceMesh indices used for the signals
+const FACIAL_ACTION_LANDMARKS = {
+    // Eye aspect ratio points: corner, top, top, corner, bottom, bottom
+    leftEye: [33, 160, 158, 133, 153, 144],
+    rightEye: [362, 385, 387, 263, 373, 380],
+    upperLip: 13,
+    lowerLip: 14,
+    mouthLeft: 61,
+    mouthRight: 291,
+    leftBrow: 105,
+    rightBrow: 334,
+    leftEyeTop: 159,
+    rightEyeTop: 386,
+    forehead: 10,
+    chin: 152,
+    leftCheek: 234,
+    rightCheek: 454
+};
+
+// FacialActionDetector tracks the signals of one face and emits its events
+class FacialActionDetector {
+    constructor(bus, faceId = 0) {
+        this.bus = bus;
+        this.faceId = faceId;
+        this.signals = {
+            eyeOpenness: 0,   // Eye aspect ratio, ~0.3 open and ~0.1 closed
+            mouthOpenness: 0, // Lip gap over mouth width
+            browHeight: 0,    // Brow-to-eye distance over face height, relative to this face's resting value
+            smile: 0          // Mouth width over face width, relative to this face's resting value
+        };
+        this.anchors = null; // Points (source pixels) where each action happens
+
+        // Eye openness drops when blinking, so its trigger runs downwards
+        this.triggers = {
+            blink: new HysteresisTrigger(0.18, 0.23),
+            mouthOpen: new HysteresisTrigger(0.35, 0.25),
+            browRaise: new HysteresisTrigger(1.15, 1.08),
+            smile: new HysteresisTrigger(1.12, 1.06)
+        };
+
+        // Resting values: seeded from the first detections, then learned slowly
+        // while the action is neither happening nor building up
+        this.baseline = { browHeight: null, smile: null };
+        this.warmup = { browHeight: [], smile: [] }; // Values seen before the baseline is seeded
+        this.warmupFrames = 10;
+        this.baselineRate = 0.02;
+    }
+
+    // Read a landmark as { x, y } whatever its format
+    point(landmarks, index) {
+        const landmark = landmarks[index];
+        return Array.isArray(landmark)
+            ? { x: landmark[0], y: landmark[1] }
+            : { x: landmark.x, y: landmark.y };
+    }
+
+    // Distance between two landmarks
+    distance(landmarks, a, b) {
+        const p = this.point(landmarks, a);
+        const q = this.point(landmarks, b);
+        return Math.hypot(p.x - q.x, p.y - q.y);
+    }
+
+    // Eye aspect ratio: eyelid gaps over eye width
+    eyeAspectRatio(landmarks, [p1, p2, p3, p4, p5, p6]) {
+        const width = this.distance(landmarks, p1, p4);
+        if (width === 0) return 0;
+        return (this.distance(landmarks, p2, p6) + this.distance(landmarks, p3, p5)) / (2 * width);
+    }
+
+    // Midpoint of two landmarks
+    midpoint(landmarks, a, b) {
+        const p = this.point(landmarks, a);
+        const q = this.point(landmarks, b);
+        return { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+    }
+
+    // Compare a value with its learned resting value (1 until the warm-up is over)
+    relativeToBaseline(name, value, trigger) {
+        if (this.baseline[name] === null) {
+            const seen = this.warmup[name];
+            seen.push(value);
+            if (seen.length < this.warmupFrames) return 1;
+            // The median is not thrown by an expression passing during the warm-up
+            seen.sort((a, b) => a - b);
+            this.baseline[name] = seen[Math.floor(seen.length / 2)];
+            seen.length = 0;
+        }
+
+        const relative = this.baseline[name] > 0 ? value / this.baseline[name] : 1;
+        // Hold the resting value while the action is on or past halfway to its
+        // trigger, so a slow smile or brow raise is not learned as the new rest
+        if (!trigger.active && relative < (trigger.on + trigger.off) / 2) {
+            this.baseline[name] += (value - this.baseline[name]) * this.baselineRate;
+        }
+        return relative;
+    }
+
+    // Process a new detection (468-point landmarks in source pixels)
+    update(landmarks) {
+        if (!landmarks || landmarks.length < 468) return;
+
+        const L = FACIAL_ACTION_LANDMARKS;
+        const faceHeight = this.distance(landmarks, L.forehead, L.chin) || 1;
+        const faceWidth = this.distance(landmarks, L.leftCheek, L.rightCheek) || 1;
+        const mouthWidth = this.distance(landmarks, L.mouthLeft, L.mouthRight) || 1;
+
+        const browHeight = (this.distance(landmarks, L.leftBrow, L.leftEyeTop) +
+            this.distance(landmarks, L.rightBrow, L.rightEyeTop)) / 2 / faceHeight;
+
+        this.signals = {
+            eyeOpenness: (this.eyeAspectRatio(landmarks, L.leftEye) + this.eyeAspectRatio(landmarks, L.rightEye)) / 2,
+            mouthOpenness: this.distance(landmarks, L.upperLip, L.lowerLip) / mouthWidth,
+            browHeight: this.relativeToBaseline('browHeight', browHeight, this.triggers.browRaise),
+            smile: this.relativeToBaseline('smile', mouthWidth / faceWidth, this.triggers.smile)
+        };
+
+        const top = this.point(landmarks, L.forehead);
+        const bottom = this.point(landmarks, L.chin);
+        this.anchors = {
+            leftEye: this.midpoint(landmarks, L.leftEye[0], L.leftEye[3]),
+            rightEye: this.midpoint(landmarks, L.rightEye[0], L.rightEye[3]),
+            mouth: this.midpoint(landmarks, L.upperLip, L.lowerLip),
+            mouthLeft: this.point(landmarks, L.mouthLeft),
+            mouthRight: this.point(landmarks, L.mouthRight),
+            leftBrow: this.point(landmarks, L.leftBrow),
+            rightBrow: this.point(landmarks, L.rightBrow),
+            // Unit vector from forehead to chin, for "down the face" directions
+            down: { x: (bottom.x - top.x) / faceHeight, y: (bottom.y - top.y) / faceHeight }
+        };
+
+        this.fire('blink', this.triggers.blink.update(this.signals.eyeOpenness), this.signals.eyeOpenness);
+        const mouth = this.triggers.mouthOpen.update(this.signals.mouthOpenness);
+        this.fire('mouthOpen', mouth, this.signals.mouthOpenness);
+        if (mouth === 'off') {
+            this.emit('mouthClose', this.signals.mouthOpenness);
+        }
+        this.fire('browRaise', this.triggers.browRaise.update(this.signals.browHeight), this.signals.browHeight);
+        this.fire('smile', this.triggers.smile.update(this.signals.smile), this.signals.smile);
+    }
+
+    // Emit an event when its trigger turns on
+    fire(type, transition, value) {
+        if (transition === 'on') {
+            this.emit(type, value);
+        }
+    }
+
+    // Send an event with the face id, signal value and anchor points
+    emit(type, value) {
+        if (!this.bus) return;
+        this.bus.emit(type, {
+            type: type,
+            faceId: this.faceId,
+            value: value,
+            anchors: this.anchors,
+            timestamp: performance.now()
+        });
+    }
+
+    // Current on/off state of each action
+    getStates() {
+        return {
+            eyesClosed: this.triggers.blink.active,
+            mouthOpen: this.triggers.mouthOpen.active,
+            browRaised: this.triggers.browRaise.active,
+            smiling: this.triggers.smile.active
+        };
+    }
+}
@@ -0,0 +1,85 @@
+// Facial feature layouts: which landmark indices belong to which feature.
+// FaceTracker tags every keypoint it extracts with its feature and landmark
+// index, and the tags travel with the point through smoothing and viewport
+// mapping to ParticleSystem, so nothing downstream has to guess.
+// Left and right are as seen in the (unmirrored) camera image.
+
+// Feature names, in a fixed order so they can be stored as small numbers
+const FACIAL_FEATURES = ['leftEye', 'rightEye', 'lips', 'nose', 'leftEyebrow', 'rightEyebrow', 'faceContour', 'other'];
+
+// Feature name -> id (position in FACIAL_FEATURES)
+const FACIAL_FEATURE_IDS = Object.fromEntries(FACIAL_FEATURES.map((name, id) => [name, id]));
+
+// Landmark indices per layout; spacing keeps every nth index of long contours
+const FACIAL_FEATURE_LAYOUTS = {
+    // FaceMesh, 468 points
+    faceMesh: {
+        minPoints: 468,
+        features: {
+            leftEye: { indices: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246] },
+            rightEye: { indices: [362, 382, 381, 380, 374, 373, 390, 249, 263, 466, 388, 387, 386, 385, 384, 398] },
+            lips: { indices: [61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185] },
+            nose: { indices: [1, 2, 3, 4, 5, 6, 168, 197, 195, 98, 97, 326, 327], spacing: 2 },
+            leftEyebrow: { indices: [70, 63, 105, 66, 107, 55, 65, 52, 53, 46] },
+            rightEyebrow: { indices: [336, 296, 334, 293, 300, 276, 283, 282, 295, 285] },
+            faceContour: {
+                indices: [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152,
+                    148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109],
+                spacing: 3
+            }
+        }
+    },
+    // dlib-style 68 points (faceApi)
+    face68: {
+        minPoints: 68,
+        features: {
+            leftEye: { indices: [36, 37, 38, 39, 40, 41] },
+            rightEye: { indices: [42, 43, 44, 45, 46, 47] },
+            lips: { indices: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67] },
+            nose: { indices: [27, 28, 29, 30, 31, 32, 33, 34, 35] },
+            leftEyebrow: { indices: [17, 18, 19, 20, 21] },
+            rightEyebrow: { indices: [22, 23, 24, 25, 26] },
+            faceContour: { indices: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16], spacing: 2 }
+        }
+    },
+    // PoseNet, 17 points. Its own names are from the subject's view,
+    // so its "right eye" (2) is on the image's left
+    poseNet: {
+        minPoints: 5,
+        features: {
+            nose: { indices: [0] },
+            leftEye: { indices: [2] },
+            rightEye: { indices: [1] },
+            faceContour: { indices: [4, 3] } // Ears
+        }
+    }
+};
+
+// Pick the layout for a landmark count, or null for unknown models
+function getFacialFeatureLayout(landmarkCount) {
+    for (const name of ['faceMesh', 'face68', 'poseNet']) {
+        if (landmarkCount >= FACIAL_FEATURE_LAYOUTS[name].minPoints) {
+            return FACIAL_FEATURE_LAYOUTS[name];
+        }
+    }
+    return null;
+}
+
+// Label a point with its feature and landmark index (-1 when it is not a landmark)
+function tagKeypoint(point, feature, index = -1) {
+    point.feature = feature;
+    point.index = index;
+    return point;
+}
+
+// Group tagged points by feature: { leftEye: [...], ... } with every feature present
+function groupByFeature(points) {
+    const groups = {};
+    for (const name of FACIAL_FEATURES) {
+        groups[name] = [];
+    }
+    for (const point of points) {
+        groups[point.feature in groups ? point.feature : 'other'].push(point);
+    }
+    return groups;
+}
@@ -0,0 +1,187 @@
+// Per-feature particle behaviours.
+// In 'features' attraction mode every particle belongs to one facial feature
+// and moves with that feature's behaviour instead of chasing the nearest
+// landmark: particles orbit the eyes, fill the lips, stream along the jawline
+// and flicker on the brows. Each feature gets a share of the particle budget,
+// so the portrait still reads as a face with few particles.
+//
+// A behaviour is a function (system, i, region, time) that steers particle i,
+// usually by calling system.seek(). `region` describes the feature's points
+// this frame (see describeFeatureRegion) and `time` is in seconds. Behaviours
+// scale their steering with the swarm's attractionStrength (see
+// behaviourStrength), so the preset's strength applies to every feature.
+
+const FEATURE_BEHAVIOURS = {};
+
+// Add (or replace) a behaviour by name
+function registerFeatureBehaviour(name, behaviour) {
+    FEATURE_BEHAVIOURS[name] = behaviour;
+}
+
+// Behaviour and budget share of each feature. Shares are relative; features
+// missing from the current layout hand their share to the others.
+const DEFAULT_FEATURE_BEHAVIOURS = {
+    leftEye: { behaviour: 'orbit', share: 0.12 },
+    rightEye: { behaviour: 'orbit', share: 0.12 },
+    lips: { behaviour: 'fill', share: 0.18 },
+    nose: { behaviour: 'seek', share: 0.08 },
+    leftEyebrow: { behaviour: 'flicker', share: 0.08 },
+    rightEyebrow: { behaviour: 'flicker', share: 0.08 },
+    faceContour: { behaviour: 'trace', share: 0.34 },
+    other: { behaviour: 'seek', share: 0.1 }
+};
+
+// Summarize a feature's points for the behaviours: centre, mean radius and
+// whether the points form a closed loop (eyes, lips, the mesh's face oval)
+function describeFeatureRegion(points) {
+    let x = 0, y = 0, z = 0;
+    for (const point of points) {
+        x += point.x;
+        y += point.y;
+        z += point.z || 0;
+    }
+    const centroid = { x: x / points.length, y: y / points.length, z: z / points.length };
+
+    let radius = 0;
+    let pathLength = 0;
+    for (let k = 0; k < points.length; k++) {
+        radius += Math.hypot(points[k].x - centroid.x, points[k].y - centroid.y);
+        if (k > 0) {
+            pathLength += Math.hypot(points[k].x - points[k - 1].x, points[k].y - points[k - 1].y);
+        }
+    }
+    radius /= points.length;
+
+    // A path is closed when its ends are about as close as neighbouring points
+    const first = points[0];
+    const last = points[points.length - 1];
+    const meanStep = points.length > 1 ? pathLength / (points.length - 1) : 0;
+    const closed = points.length > 2 && Math.hypot(first.x - last.x, first.y - last.y) < meanStep * 2;
+
+    return { points, centroid, radius, closed };
+}
+
+// Fractional part, used to derive several stable random numbers from one seed
+function fract(value) {
+    return value - Math.floor(value);
+}
+
+// Point at u (0..1) along a feature's points, from the first point to the last
+// (or back to the first for closed loops), as { x, y, z }; pass `out` to reuse an object
+function pointAlongPath(region, u, out = { x: 0, y: 0, z: 0 }) {
+    const points = region.points;
+    if (points.length === 1) {
+        out.x = points[0].x;
+        out.y = points[0].y;
+        out.z = points[0].z || 0;
+        return out;
+    }
+
+    const segments = region.closed ? points.length : points.length - 1;
+    const s = Math.min(Math.max(u, 0), 1) * segments;
+    const k = Math.min(Math.floor(s), segments - 1);
+    const t = s - k;
+    const a = points[k];
+    const b = points[(k + 1) % points.length];
+    out.x = a.x + (b.x - a.x) * t;
+    out.y = a.y + (b.y - a.y) * t;
+    out.z = (a.z || 0) + ((b.z || 0) - (a.z || 0)) * t;
+    return out;
+}
+
+// Point at u along a feature's points, cycling every 1; open paths go back and forth.
+// Pass `out` to reuse an object.
+function pointOnPath(region, u, out) {
+    // Ping-pong on open paths: 0 -> end -> 0 over one cycle
+    return pointAlongPath(region, region.closed ? fract(u) : 1 - Math.abs(1 - fract(u) * 2), out);
+}
+
+// Split a particle count between the features present by their budget shares.
+// Returns { feature: count }; features without a share split evenly if no feature has one.
+function featureQuotas(features, behaviours, total) {
+    const shareOf = feature => (behaviours[feature] ? behaviours[feature].share : 0);
+    let totalShare = 0;
+    for (const feature of features) {
+        totalShare += shareOf(feature);
+    }
+
+    const quotas = {};
+    for (const feature of features) {
+        const share = totalShare > 0 ? shareOf(feature) / totalShare : 1 / features.length;
+        quotas[feature] = Math.round(share * total);
+    }
+    return quotas;
+}
+
+// The attraction strength the behaviours' own weights are tuned for
+const BASE_ATTRACTION_STRENGTH = 2.5;
+
+// A behaviour's steering weight scaled by the swarm's attraction strength
+function behaviourStrength(system, weight) {
+    return weight * system.attractionStrength / BASE_ATTRACTION_STRENGTH;
+}
+
+// Seek the closest point of the feature, stronger when near (the classic behaviour)
+registerFeatureBehaviour('seek', (system, i, region) => {
+    const pos = system.particles.position;
+    const x = pos[i * 2];
+    const y = pos[i * 2 + 1];
+    let closest = region.points[0];
+    let closestDistSq = Infinity;
+    for (const point of region.points) {
+        const dSq = (point.x - x) * (point.x - x) + (point.y - y) * (point.y - y);
+        if (dSq < closestDistSq) {
+            closestDistSq = dSq;
+            closest = point;
+        }
+    }
+    const radius = system.attractionRadius;
+    const strength = map(Math.min(Math.sqrt(closestDistSq), radius), 0, radius, system.attractionStrength, system.attractionStrength * 0.2);
+    system.seek(i, closest.x, closest.y, strength);
+});
+
+// Circle the feature's centre just outside its outline
+registerFeatureBehaviour('orbit', (system, i, region, time) => {
+    const seed = system.particles.seed[i];
+    const direction = seed < 0.5 ? 1 : -1;
+    const angle = seed * TWO_PI * 7 + time * 1.5 * direction;
+    const radius = region.radius * (1.1 + fract(seed * 13) * 0.6) + 4;
+    system.seek(i, region.centroid.x + Math.cos(angle) * radius, region.centroid.y + Math.sin(angle) * radius, behaviourStrength(system, 2));
+});
+
+// Hold a fixed spot inside the feature's outline (a triangle fan from the centre)
+registerFeatureBehaviour('fill', (system, i, region) => {
+    const seed = system.particles.seed[i];
+    const points = region.points;
+    const k = Math.floor(fract(seed * 31) * points.length);
+    const a = points[k];
+    const b = points[(k + 1) % points.length];
+
+    // Uniform point in the triangle (centroid, a, b)
+    let u = fract(seed * 7919);
+    let v = fract(seed * 104729);
+    if (u + v > 1) {
+        u = 1 - u;
+        v = 1 - v;
+    }
+    const c = region.centroid;
+    system.seek(i, c.x + (a.x - c.x) * u + (b.x - c.x) * v, c.y + (a.y - c.y) * u + (b.y - c.y) * v, behaviourStrength(system, 2));
+});
+
+// Scratch point for 'trace', so it allocates nothing per particle
+const traceTarget = { x: 0, y: 0, z: 0 };
+
+// Stream along the feature's points as a path
+registerFeatureBehaviour('trace', (system, i, region, time) => {
+    const seed = system.particles.seed[i];
+    const target = pointOnPath(region, seed + time * 0.05, traceTarget);
+    system.seek(i, target.x, target.y, behaviourStrength(system, 2.5));
+});
+
+// Hop between points of the feature a few times a second, with a jittery arrival
+registerFeatureBehaviour('flicker', (system, i, region, time) => {
+    const seed = system.particles.seed[i];
+    const hop = Math.floor(time * 4 + seed * 4);
+    const target = region.points[Math.floor(fract(seed + hop * 0.618) * region.points.length)];
+    system.seek(i, target.x + random(-3, 3), target.y + random(-3, 3), behaviourStrength(system, 3));
+});
@@ -0,0 +1,140 @@
+// Force fields add motion on top of the boid behaviours and the attraction to
+// the face: noise flow, a vortex, wind, gravity, a radial repel and drag. A
+// swarm keeps a list of fields with their own settings and weights that can be
+// changed at runtime (see ParticleSystem.addForce), so new motion can be
+// composed without touching particles.js.
+//
+// A field is { defaults, apply(system, i, settings, weight, time) } and
+// pushes particle i, usually with system.steer(). Fields placed around a
+// point take `anchor` (a facial feature such as 'nose', followed as the face
+// moves) or `x`, `y` in canvas pixels, and default to the canvas centre.
+
+const FORCE_FIELDS = {};
+
+// Add (or replace) a field by name
+function registerForceField(name, field) {
+    FORCE_FIELDS[name] = field;
+}
+
+// Centre of a field: its anchor feature if present, else its x, y, else the canvas centre
+function forceFieldCentre(system, settings) {
+    const region = settings.anchor && system.featureRegions[settings.anchor];
+    if (region) return region.centroid;
+    if (settings.x !== undefined && settings.y !== undefined) return settings;
+    return { x: width / 2, y: height / 2 };
+}
+
+// Flow along a drifting Perlin noise field. With curl (the default) particles
+// follow the curl of the noise, which swirls without bunching up.
+registerForceField('noise', {
+    defaults: { scale: 0.004, speed: 0.15, curl: true },
+    apply(system, i, settings, weight, time) {
+        const x = system.particles.position[i * 2] * settings.scale;
+        const y = system.particles.position[i * 2 + 1] * settings.scale;
+        const z = time * settings.speed;
+        if (settings.curl) {
+            const e = 0.01;
+            const dx = (noise(x + e, y, z) - noise(x - e, y, z)) / (2 * e);
+            const dy = (noise(x, y + e, z) - noise(x, y - e, z)) / (2 * e);
+            system.steer(i, dy, -dx, weight);
+        } else {
+            const angle = noise(x, y, z) * TWO_PI * 2;
+            system.steer(i, Math.cos(angle), Math.sin(angle), weight);
+        }
+    }
+});
+
+// Swirl around a point, fading out at radius; inward > 0 also draws particles in
+registerForceField('vortex', {
+    defaults: { anchor: 'nose', radius: 250, clockwise: true, inward: 0.2 },
+    apply(system, i, settings, weight) {
+        const centre = forceFieldCentre(system, settings);
+        const dx = system.particles.position[i * 2] - centre.x;
+        const dy = system.particles.position[i * 2 + 1] - centre.y;
+        const d = Math.sqrt(dx * dx + dy * dy);
+        if (d === 0 || d > settings.radius) return;
+
+        const turn = settings.clockwise ? 1 : -1;
+        const tx = -dy / d * turn - dx / d * settings.inward;
+        const ty = dx / d * turn - dy / d * settings.inward;
+        system.steer(i, tx, ty, weight * (1 - d / settings.radius));
+    }
+});
+
+// Blow every particle one way (angle in radians, 0 is to the right), in noisy gusts
+registerForceField('wind', {
+    defaults: { angle: 0, gust: 0.5, gustSpeed: 0.5 },
+    apply(system, i, settings, weight, time) {
+        // Keyed by seed, not index, so a particle keeps its gusts when dead ones are removed
+        const gust = 1 + settings.gust * (noise(time * settings.gustSpeed, system.particles.seed[i] * 10) - 0.5) * 2;
+        system.steer(i, Math.cos(settings.angle), Math.sin(settings.angle), weight * Math.max(0, gust));
+    }
+});
+
+// Pull every particle one way (angle in radians, default straight down), or
+// towards a point when it has an anchor or x, y (falling off with distance past radius)
+registerForceField('gravity', {
+    defaults: { angle: Math.PI / 2, anchor: null, radius: 200 },
+    apply(system, i, settings, weight) {
+        if (!settings.anchor && settings.x === undefined) {
+            // Add straight to the acceleration: gravity is not limited by maxForce like steering
+            system.particles.acceleration[i * 2] += Math.cos(settings.angle) * weight;
+            system.particles.acceleration[i * 2 + 1] += Math.sin(settings.angle) * weight;
+            return;
+        }
+        const centre = forceFieldCentre(system, settings);
+        const dx = centre.x - system.particles.position[i * 2];
+        const dy = centre.y - system.particles.position[i * 2 + 1];
+        const d = Math.sqrt(dx * dx + dy * dy);
+        if (d === 0) return;
+        const falloff = d > settings.radius ? (settings.radius / d) * (settings.radius / d) : 1;
+        system.particles.acceleration[i * 2] += dx / d * weight * falloff;
+        system.particles.acceleration[i * 2 + 1] += dy / d * weight * falloff;
+    }
+});
+
+// Push particles away from a point, stronger near it, fading out at radius
+registerForceField('repel', {
+    defaults: { anchor: null, radius: 150 },
+    apply(system, i, settings, weight) {
+        const centre = forceFieldCentre(system, settings);
+        const dx = system.particles.position[i * 2] - centre.x;
+        const dy = system.particles.position[i * 2 + 1] - centre.y;
+        const d = Math.sqrt(dx * dx + dy * dy);
+        if (d === 0 || d > settings.radius) return;
+        system.steer(i, dx, dy, weight * (1 - d / settings.radius));
+    }
+});
+
+// Slow particles down; weight is the share of velocity lost per frame
+registerForceField('drag', {
+    defaults: {},
+    apply(system, i, settings, weight) {
+        const store = system.particles;
+        store.acceleration[i * 2] -= store.velocity[i * 2] * weight;
+        store.acceleration[i * 2 + 1] -= store.velocity[i * 2 + 1] * weight;
+    }
+});
+
+// Ready-made combinations, cycled with the K key: [{ field, settings, weight }]
+const FORCE_FIELD_SETS = {
+    none: [],
+    breeze: [
+        { field: 'wind', settings: { angle: -0.3 }, weight: 0.4 },
+        { field: 'noise', weight: 0.5 }
+    ],
+    whirlpool: [
+        { field: 'vortex', settings: { anchor: 'nose', radius: 300 }, weight: 1.5 },
+        { field: 'drag', weight: 0.02 }
+    ],
+    rain: [
+        { field: 'gravity', weight: 0.06 },
+        { field: 'wind', settings: { angle: 0.2, gust: 0.8 }, weight: 0.2 },
+        { field: 'drag', weight: 0.02 }
+    ],
+    storm: [
+        { field: 'noise', settings: { scale: 0.008, speed: 0.6 }, weight: 1.5 },
+        { field: 'repel', settings: { anchor: 'lips', radius: 120 }, weight: 2 },
+        { field: 'drag', weight: 0.01 }
+    ]
+};
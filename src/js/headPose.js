@@ -0,0 +1,125 @@
+// Head pose (yaw, pitch, roll) estimated from a few stable landmarks.
+// Angles are in radians, in source-image terms (before any viewport mirroring):
+//   yaw   > 0 when the nose turns towards the image's right edge
+//   pitch > 0 when the face tilts up
+//   roll  > 0 when the head tilts clockwise in the image
+// With the 468-point mesh the landmark depth (z) gives yaw and pitch directly;
+// layouts without depth fall back to where the nose sits between the eyes/cheeks.
+
+// Landmark indices per layout. restingNose is how far down from forehead to chin
+// the nose tip sits when looking straight ahead (used without depth).
+const HEAD_POSE_LANDMARKS = {
+    faceMesh: {
+        points: { noseTip: 1, leftEye: 33, rightEye: 263, leftCheek: 234, rightCheek: 454, forehead: 10, chin: 152 },
+        restingNose: 0.55
+    },
+    face68: {
+        points: { noseTip: 30, leftEye: 36, rightEye: 45, leftCheek: 0, rightCheek: 16, forehead: 27, chin: 8 },
+        restingNose: 0.4
+    },
+    poseNet: {
+        // PoseNet names points from the subject's view, so its right eye (2) is on the image's left.
+        // Ears stand in for cheeks
+        points: { noseTip: 0, leftEye: 2, rightEye: 1, leftCheek: 4, rightCheek: 3 }
+    }
+};
+
+// Read a landmark as { x, y, z }
+function headPosePoint(landmarks, index) {
+    const landmark = landmarks[index];
+    if (!landmark) return null;
+    return Array.isArray(landmark)
+        ? { x: landmark[0], y: landmark[1], z: landmark[2] || 0 }
+        : { x: landmark.x, y: landmark.y, z: landmark.z || 0 };
+}
+
+// Estimate { yaw, pitch, roll } from landmarks, or null if the layout is not supported
+function estimateHeadPose(landmarks) {
+    if (!landmarks) return null;
+
+    let layout;
+    if (landmarks.length >= 468) {
+        layout = HEAD_POSE_LANDMARKS.faceMesh;
+    } else if (landmarks.length >= 68) {
+        layout = HEAD_POSE_LANDMARKS.face68;
+    } else if (landmarks.length >= 5) {
+        layout = HEAD_POSE_LANDMARKS.poseNet;
+    } else {
+        return null;
+    }
+
+    const p = {};
+    for (const name in layout.points) {
+        p[name] = headPosePoint(landmarks, layout.points[name]);
+        if (!p[name]) return null;
+    }
+
+    // Roll: angle of the line through the eyes
+    const roll = Math.atan2(p.rightEye.y - p.leftEye.y, p.rightEye.x - p.leftEye.x);
+
+    // Undo roll so the remaining offsets are along the face's own axes
+    const cosR = Math.cos(-roll);
+    const sinR = Math.sin(-roll);
+    const origin = p.noseTip;
+    const level = point => ({
+        x: (point.x - origin.x) * cosR - (point.y - origin.y) * sinR,
+        y: (point.x - origin.x) * sinR + (point.y - origin.y) * cosR,
+        z: point.z
+    });
+    const leftCheek = level(p.leftCheek);
+    const rightCheek = level(p.rightCheek);
+    const halfWidth = Math.max((rightCheek.x - leftCheek.x) / 2, 1);
+    const hasDepth = landmarks.some(landmark => landmark && (Array.isArray(landmark) ? landmark[2] : landmark.z));
+
+    let yaw;
+    let pitch = 0;
+
+    if (hasDepth) {
+        // The side turning away from the camera gets the larger z
+        yaw = Math.atan2(rightCheek.z - leftCheek.z, rightCheek.x - leftCheek.x);
+        if (p.forehead && p.chin) {
+            const forehead = level(p.forehead);
+            const chin = level(p.chin);
+            pitch = Math.atan2(forehead.z - chin.z, chin.y - forehead.y);
+        }
+    } else {
+        // The nose tip stands out from the face, so it slides sideways as the head turns
+        const noseOffset = -(leftCheek.x + rightCheek.x) / 2; // Nose is the origin
+        yaw = Math.asin(constrain(noseOffset / (halfWidth * 0.6), -1, 1));
+
+        if (p.forehead && p.chin) {
+            // Looking up moves the nose tip towards the forehead
+            const forehead = level(p.forehead);
+            const chin = level(p.chin);
+            const span = Math.max(chin.y - forehead.y, 1);
+            const position = -forehead.y / span;
+            pitch = Math.asin(constrain((layout.restingNose - position) / 0.35, -1, 1));
+        }
+    }
+
+    return { yaw, pitch, roll };
+}
+
+// HeadPoseFilter smooths pose angles between detections with One Euro filters
+class HeadPoseFilter {
+    constructor(minCutoff = 1.0, beta = 0.5) {
+        this.filters = {
+            yaw: new OneEuroFilter(minCutoff, beta),
+            pitch: new OneEuroFilter(minCutoff, beta),
+            roll: new OneEuroFilter(minCutoff, beta)
+        };
+        this.pose = { yaw: 0, pitch: 0, roll: 0 };
+    }
+
+    // Add a new estimate; time is in milliseconds
+    update(pose, time) {
+        if (!pose) return this.pose;
+        const seconds = time / 1000;
+        this.pose = {
+            yaw: this.filters.yaw.filter(pose.yaw, seconds),
+            pitch: this.filters.pitch.filter(pose.pitch, seconds),
+            roll: this.filters.roll.filter(pose.roll, seconds)
+        };
+        return this.pose;
+    }
+}
@@ -0,0 +1,141 @@
+// PortraitImprint is a long exposure of the swarm. Particles that have
+// reached their landmark (closer than depositDistance) leave a faint dot of
+// their colour on a persistent buffer, so over 30 to 120 seconds a lasting
+// portrait of the sitter builds up underneath the live swarm. The imprint can
+// be frozen, faded away and exported as a PNG to take home. It builds best in
+// the 'assigned' attraction mode, where every particle holds its own spot.
+class PortraitImprint {
+    constructor(exposure = 60) {
+        this.buffer = null;            // p5.Graphics, created when first enabled
+        this.isEnabled = false;
+        this.isFrozen = false;         // Frozen imprints are shown but not exposed further
+        this.exposure = exposure;      // Seconds for a spot held by one particle to reach 95% of its colour
+        this.depositInterval = 20;     // Frames between deposits of one particle
+        this.depositDistance = 3;      // Pixels from its landmark within which a particle deposits
+        this.dotScale = 0.6;           // Deposit size relative to the particle's drawn size
+        this.exposedTime = 0;          // Seconds of exposure so far
+        this.fadeStart = null;         // Milliseconds, while fading away
+        this.fadeDuration = 3000;
+    }
+
+    // Opacity of one deposit, so that a spot reaches 95% after `exposure` seconds at 60 fps
+    get depositAlpha() {
+        const deposits = Math.max(1, this.exposure * 60 / this.depositInterval);
+        return 1 - Math.pow(0.05, 1 / deposits);
+    }
+
+    // Turn the imprint on or off; the buffer is kept, so turning it back on resumes
+    toggle() {
+        this.isEnabled = !this.isEnabled;
+        if (this.isEnabled && !this.buffer) {
+            this.buffer = createGraphics(width, height);
+            this.buffer.pixelDensity(1);
+        }
+    }
+
+    // Stop or resume exposing
+    toggleFreeze() {
+        this.isFrozen = !this.isFrozen;
+    }
+
+    // Fade the imprint away over fadeDuration, then start a fresh exposure
+    fadeAway() {
+        if (this.buffer) {
+            this.fadeStart = millis();
+        }
+    }
+
+    // Expose the imprint with one swarm's particles that have reached their landmarks
+    collect(system) {
+        if (!this.isEnabled || this.isFrozen || this.fadeStart !== null) return;
+
+        const store = system.particles;
+        const context = this.buffer.drawingContext;
+        const alpha = this.depositAlpha;
+        context.save();
+        for (let i = 0; i < store.length; i++) {
+            if (!store.attracted[i] || store.distance[i] > this.depositDistance) continue;
+            if ((i + frameCount) % this.depositInterval !== 0) continue;
+
+            const r = Math.round(store.color[i * 4]);
+            const g = Math.round(store.color[i * 4 + 1]);
+            const b = Math.round(store.color[i * 4 + 2]);
+            context.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+            context.beginPath();
+            context.arc(store.position[i * 2], store.position[i * 2 + 1], Math.max(0.5, system.displaySize(i) * this.dotScale / 2), 0, Math.PI * 2);
+            context.fill();
+        }
+        context.restore();
+    }
+
+    // Advance the exposure time and any fade; call once per frame
+    update() {
+        if (!this.isEnabled) return;
+
+        if (this.fadeStart !== null) {
+            // Take away a share of what is left each frame, reaching nothing at the end
+            const t = (millis() - this.fadeStart) / this.fadeDuration;
+            const context = this.buffer.drawingContext;
+            if (t >= 1) {
+                this.buffer.clear();
+                this.fadeStart = null;
+                this.exposedTime = 0;
+            } else {
+                context.save();
+                context.globalCompositeOperation = 'destination-out';
+                context.fillStyle = `rgba(0, 0, 0, ${Math.min(1, deltaTime / (this.fadeDuration * (1 - t)))})`;
+                context.fillRect(0, 0, this.buffer.width, this.buffer.height);
+                context.restore();
+            }
+        } else if (!this.isFrozen) {
+            this.exposedTime += deltaTime / 1000;
+        }
+    }
+
+    // Draw the imprint on the canvas, under the live swarm
+    draw() {
+        if (this.isEnabled && this.buffer) {
+            image(this.buffer, 0, 0, width, height);
+        }
+    }
+
+    // Wipe the imprint and turn it off, e.g. when the experience is reset
+    clear() {
+        if (this.buffer) {
+            this.buffer.clear();
+        }
+        this.isEnabled = false;
+        this.isFrozen = false;
+        this.fadeStart = null;
+        this.exposedTime = 0;
+    }
+
+    // Follow a canvas resize, stretching what has been exposed so far
+    resize(w, h) {
+        if (!this.buffer) return;
+        const old = this.buffer;
+        this.buffer = createGraphics(w, h);
+        this.buffer.pixelDensity(1);
+        this.buffer.image(old, 0, 0, w, h);
+        old.remove();
+    }
+
+    // Download the imprint as a PNG on a background colour
+    export(background = [0, 0, 0]) {
+        if (!this.buffer) return;
+        const output = createGraphics(this.buffer.width, this.buffer.height);
+        output.pixelDensity(1);
+        output.background(...background);
+        output.image(this.buffer, 0, 0);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        saveCanvas(output, `portrait-imprint-${stamp}`, 'png');
+        output.remove();
+    }
+
+    // Short description for the debug panel and indicator
+    describe() {
+        if (!this.isEnabled) return 'off';
+        const state = this.fadeStart !== null ? 'fading' : this.isFrozen ? 'frozen' : 'exposing';
+        return `${state}, ${Math.floor(this.exposedTime)}s`;
+    }
+}
@@ -0,0 +1,205 @@
+// LandmarkAssignment gives every particle its own target for the 'assigned'
+// attraction mode, so the swarm resolves into an evenly covered portrait
+// instead of piling onto the landmarks nearest to where particles spawned.
+//
+// Targets ("slots") are spread evenly along each feature's points; each
+// feature gets as many slots as its budget share (featureQuotas) and each
+// slot takes one particle. Slot positions follow the face every frame.
+// Particles that die free their slot for new ones, and neighbouring
+// particles swap slots when that shortens their combined path, so the
+// assignment untangles as the face moves.
+class LandmarkAssignment {
+    constructor() {
+        this.slots = [];       // { feature, u }: position u (0..1) along a feature's path
+        this.signature = '';   // Layout the slots were built for
+        this.slotX = new Float32Array(0);
+        this.slotY = new Float32Array(0);
+        this.slotZ = new Float32Array(0);
+        this.slotOwner = new Int32Array(0); // Particle index per slot, -1 when free
+        this.point = { x: 0, y: 0, z: 0 }; // Scratch for slot positions, so a frame allocates nothing
+        this.freeGrid = new SpatialGrid(); // Free slots by position, for the nearest-slot search
+        this.bounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 }; // Of the free slots
+        // Particles given a slot per frame. After a layout change the rest follow
+        // the nearest landmark until their turn, so no single frame stalls.
+        this.assignPerFrame = 1000;
+    }
+
+    // Rebuild the slots when the features present, their point counts or the budget change
+    layout(regions, behaviours, slotCount) {
+        const features = Object.keys(regions);
+        const signature = `${slotCount}|` + features.map(feature => `${feature}:${regions[feature].points.length}`).join(',');
+        if (signature === this.signature) return false;
+
+        this.signature = signature;
+        this.slots = [];
+        const quotas = featureQuotas(features, behaviours, slotCount);
+        for (const feature of features) {
+            const count = quotas[feature];
+            const closed = regions[feature].closed;
+            for (let k = 0; k < count; k++) {
+                // Closed loops leave out the end point, which is also the start
+                this.slots.push({ feature, u: closed ? k / count : (count > 1 ? k / (count - 1) : 0.5) });
+            }
+        }
+
+        const length = this.slots.length;
+        this.slotX = new Float32Array(length);
+        this.slotY = new Float32Array(length);
+        this.slotZ = new Float32Array(length);
+        this.slotOwner = new Int32Array(length);
+        return true;
+    }
+
+    // Prepare the slots for a frame and give free slots to unassigned particles.
+    // Particles below index `surplus` are over budget and get no slot.
+    update(store, regions, behaviours, slotCount, surplus) {
+        if (this.layout(regions, behaviours, slotCount)) {
+            store.target.fill(-1, 0, store.length);
+        }
+
+        // Where each slot is this frame
+        for (let s = 0; s < this.slots.length; s++) {
+            const slot = this.slots[s];
+            const point = pointAlongPath(regions[slot.feature], slot.u, this.point);
+            this.slotX[s] = point.x;
+            this.slotY[s] = point.y;
+            this.slotZ[s] = point.z;
+        }
+
+        // Work out owners from the particles (indices shift as dead particles are removed)
+        this.slotOwner.fill(-1);
+        for (let i = 0; i < store.length; i++) {
+            const s = store.target[i];
+            if (s < 0) continue;
+            if (i < surplus || s >= this.slots.length || this.slotOwner[s] !== -1) {
+                store.target[i] = -1;
+            } else {
+                this.slotOwner[s] = i;
+            }
+        }
+
+        // Index the free slots, in cells about half the size of the area they cover
+        const bounds = this.bounds;
+        bounds.minX = bounds.minY = Infinity;
+        bounds.maxX = bounds.maxY = -Infinity;
+        let freeCount = 0;
+        for (let s = 0; s < this.slots.length; s++) {
+            if (this.slotOwner[s] === -1) {
+                bounds.minX = Math.min(bounds.minX, this.slotX[s]);
+                bounds.maxX = Math.max(bounds.maxX, this.slotX[s]);
+                bounds.minY = Math.min(bounds.minY, this.slotY[s]);
+                bounds.maxY = Math.max(bounds.maxY, this.slotY[s]);
+                freeCount++;
+            }
+        }
+        if (freeCount === 0) return;
+        const extent = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+        this.freeGrid.setCellSize(Math.max(20, Math.ceil(extent / 40) * 20)); // Steps of 20 px, so it rarely changes
+        this.freeGrid.clear();
+        for (let s = 0; s < this.slots.length; s++) {
+            if (this.slotOwner[s] === -1) {
+                this.freeGrid.insert(s, this.slotX[s], this.slotY[s]);
+            }
+        }
+
+        // Unassigned particles take the nearest free slot, up to assignPerFrame of them
+        let budget = this.assignPerFrame;
+        for (let i = Math.max(surplus, 0); i < store.length && freeCount > 0 && budget > 0; i++) {
+            if (store.target[i] >= 0) continue;
+
+            const s = this.nearestFreeSlot(store, i);
+            store.target[i] = s;
+            this.slotOwner[s] = i;
+            freeCount--;
+            budget--;
+        }
+    }
+
+    // Nearest free slot to particle i, searching the free-slot grid one ring of
+    // cells at a time and skipping cells that cannot hold anything nearer, so a
+    // layout change does not compare every particle with every slot
+    nearestFreeSlot(store, i) {
+        const grid = this.freeGrid;
+        const size = grid.cellSize;
+        const x = store.position[i * 2];
+        const y = store.position[i * 2 + 1];
+        const cx = Math.floor(x / size);
+        const cy = Math.floor(y / size);
+        const maxRing = this.maxRing(x, y);
+        let best = -1;
+        let bestDistSq = Infinity;
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Slots in this ring or further out are at least (ring - 1) cells away
+            const reach = Math.max(0, ring - 1) * size;
+            if (reach * reach >= bestDistSq) break;
+
+            for (let dx = -ring; dx <= ring; dx++) {
+                // Inner columns only have the top and bottom cells of the ring
+                const step = dx === -ring || dx === ring ? 1 : Math.max(1, ring * 2);
+                for (let dy = -ring; dy <= ring; dy += step) {
+                    // Distance from the particle to the nearest edge of the cell
+                    const left = (cx + dx) * size;
+                    const top = (cy + dy) * size;
+                    const ex = Math.max(left - x, 0, x - left - size);
+                    const ey = Math.max(top - y, 0, y - top - size);
+                    if (ex * ex + ey * ey >= bestDistSq) continue;
+
+                    const cell = grid.cells.get(grid.cellKey(cx + dx, cy + dy));
+                    if (!cell) continue;
+                    for (let k = 0; k < cell.length; k++) {
+                        const s = cell[k];
+                        const sx = this.slotX[s] - x;
+                        const sy = this.slotY[s] - y;
+                        if (sx * sx + sy * sy < bestDistSq) {
+                            bestDistSq = sx * sx + sy * sy;
+                            best = s;
+                        }
+                    }
+                }
+            }
+        }
+        grid.remove(best, this.slotX[best], this.slotY[best]);
+        return best;
+    }
+
+    // Rings of cells between (x, y) and the furthest corner of the slots' bounds
+    maxRing(x, y) {
+        const size = this.freeGrid.cellSize;
+        const cx = Math.floor(x / size);
+        const cy = Math.floor(y / size);
+        return Math.max(
+            Math.abs(cx - Math.floor(this.bounds.minX / size)), Math.abs(cx - Math.floor(this.bounds.maxX / size)),
+            Math.abs(cy - Math.floor(this.bounds.minY / size)), Math.abs(cy - Math.floor(this.bounds.maxY / size))
+        );
+    }
+
+    // Squared distance from particle i to slot s
+    distanceSq(store, i, s) {
+        const dx = this.slotX[s] - store.position[i * 2];
+        const dy = this.slotY[s] - store.position[i * 2 + 1];
+        return dx * dx + dy * dy;
+    }
+
+    // Swap the slots of particles a and b if that shortens their combined distance
+    trySwap(store, a, b) {
+        const sa = store.target[a];
+        const sb = store.target[b];
+        if (sa < 0 || sb < 0 || sa === sb) return false;
+
+        const current = this.distanceSq(store, a, sa) + this.distanceSq(store, b, sb);
+        const swapped = this.distanceSq(store, a, sb) + this.distanceSq(store, b, sa);
+        if (swapped >= current) return false;
+
+        store.target[a] = sb;
+        store.target[b] = sa;
+        this.slotOwner[sa] = b;
+        this.slotOwner[sb] = a;
+        return true;
+    }
+
+    // Forget all slots (e.g. when the face is lost)
+    reset() {
+        this.slots = [];
+        this.signature = '';
+    }
+}
@@ -0,0 +1,152 @@
+// Temporal filtering of keypoints between detections.
+// Detection only runs every 100-250 ms, so raw keypoints move in steps.
+// KeypointSmoother runs each coordinate through a One Euro filter (an adaptive
+// low-pass filter: heavy smoothing when still, little lag when moving fast)
+// and then interpolates or extrapolates the filtered samples for every draw() frame.
+
+// One Euro filter for a single value (Casiez et al. 2012)
+class OneEuroFilter {
+    constructor(minCutoff = 1.0, beta = 0.02, dCutoff = 1.0) {
+        this.minCutoff = minCutoff; // Hz; lower = smoother when still
+        this.beta = beta;           // How fast the cutoff rises with speed; higher = less lag
+        this.dCutoff = dCutoff;     // Hz; cutoff for the speed estimate
+        this.reset();
+    }
+
+    // Forget the filter state
+    reset() {
+        this.lastTime = null;
+        this.xPrev = 0;
+        this.dxPrev = 0;
+    }
+
+    // Smoothing factor for a cutoff frequency and time step
+    alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    // Filter a new value; time is in seconds
+    filter(x, time) {
+        if (this.lastTime === null) {
+            this.lastTime = time;
+            this.xPrev = x;
+            this.dxPrev = 0;
+            return x;
+        }
+
+        const dt = Math.max(time - this.lastTime, 1e-3);
+        const dx = (x - this.xPrev) / dt;
+        const edx = this.dxPrev + this.alpha(this.dCutoff, dt) * (dx - this.dxPrev);
+        const cutoff = this.minCutoff + this.beta * Math.abs(edx);
+        const result = this.xPrev + this.alpha(cutoff, dt) * (x - this.xPrev);
+
+        this.lastTime = time;
+        this.xPrev = result;
+        this.dxPrev = edx;
+        return result;
+    }
+}
+
+// KeypointSmoother filters whole keypoint sets and resamples them per frame.
+// Modes:
+//   'interpolate' - draw one detection interval behind, blending the last two samples (smoothest)
+//   'extrapolate' - predict ahead from the last two samples (no added lag, can overshoot)
+//   'off'         - filtered samples only, held until the next detection
+const SMOOTHING_MODES = ['interpolate', 'extrapolate', 'off'];
+
+class KeypointSmoother {
+    constructor(options = {}) {
+        this.options = {
+            minCutoff: 1.0,
+            beta: 0.02,
+            dCutoff: 1.0,
+            mode: 'interpolate',
+            maxExtrapolation: 0.5 // Fraction of a detection interval to predict ahead at most
+        };
+        this.filters = [];
+        this.previous = null; // { time, points } of the last two filtered samples
+        this.current = null;
+        this.setOptions(options);
+    }
+
+    // Change tuning; filters pick up new cutoffs immediately
+    setOptions(options) {
+        Object.assign(this.options, options);
+        for (const filter of this.filters) {
+            filter.minCutoff = this.options.minCutoff;
+            filter.beta = this.options.beta;
+            filter.dCutoff = this.options.dCutoff;
+        }
+    }
+
+    // Drop all history (e.g. when the face is lost)
+    reset() {
+        this.filters = [];
+        this.previous = null;
+        this.current = null;
+    }
+
+    // Add a detection; time is in milliseconds
+    addSample(points, time) {
+        if (!points || points.length === 0) {
+            this.reset();
+            return;
+        }
+
+        // A different number of points means a different layout; start over
+        if (this.filters.length !== points.length * 3) {
+            this.reset();
+            const { minCutoff, beta, dCutoff } = this.options;
+            for (let i = 0; i < points.length * 3; i++) {
+                this.filters.push(new OneEuroFilter(minCutoff, beta, dCutoff));
+            }
+        }
+
+        const seconds = time / 1000;
+        const filtered = new Float32Array(points.length * 3);
+        for (let i = 0; i < points.length; i++) {
+            filtered[i * 3] = this.filters[i * 3].filter(points[i].x, seconds);
+            filtered[i * 3 + 1] = this.filters[i * 3 + 1].filter(points[i].y, seconds);
+            filtered[i * 3 + 2] = this.filters[i * 3 + 2].filter(points[i].z || 0, seconds);
+        }
+
+        this.previous = this.current;
+        // Feature tags (see facialFeatures.js) are carried over to the sampled points
+        const tags = points.map(point => ({ feature: point.feature, index: point.index }));
+        this.current = { time, points: filtered, tags };
+    }
+
+    // Get keypoints for a draw() frame at the given time in milliseconds
+    sample(time) {
+        if (!this.current) return [];
+
+        const current = this.current.points;
+        const count = current.length / 3;
+        let from = current;
+        let t = 1;
+
+        if (this.previous && this.options.mode !== 'off') {
+            const interval = Math.max(this.current.time - this.previous.time, 1);
+            from = this.previous.points;
+
+            if (this.options.mode === 'extrapolate') {
+                t = 1 + Math.min((time - this.current.time) / interval, this.options.maxExtrapolation);
+            } else {
+                t = constrain((time - this.current.time) / interval, 0, 1);
+            }
+        }
+
+        const tags = this.current.tags;
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            const point = createVector(
+                from[i * 3] + (current[i * 3] - from[i * 3]) * t,
+                from[i * 3 + 1] + (current[i * 3 + 1] - from[i * 3 + 1]) * t,
+                from[i * 3 + 2] + (current[i * 3 + 2] - from[i * 3 + 2]) * t
+            );
+            points.push(tagKeypoint(point, tags[i].feature, tags[i].index));
+        }
+        return points;
+    }
+}
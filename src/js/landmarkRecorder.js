@@ -0,0 +1,220 @@
+// Recording and replay of landmark streams.
+// A timeline is a header (format version, source size) plus frames of
+// { t, faces: [{ id, landmarks, keypoints }] }, where t is milliseconds since
+// recording started and each keypoint is [x, y, z, feature, landmarkIndex]. Version 1 files had a single face per frame
+// ({ t, landmarks, keypoints }) and are still accepted.
+// Timelines are saved as JSON ({ ...header, frames: [...] }) or NDJSON
+// (the header on the first line, then one frame per line).
+
+const LANDMARK_TIMELINE_VERSION = 2;
+
+// LandmarkRecorder captures the normalized output of FaceTracker.processFaceDetection()
+class LandmarkRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.frames = [];
+        this.sourceSize = { width: 0, height: 0 };
+        this.startTime = 0;
+        this.recordedAt = null; // ISO date the recording started
+    }
+
+    // Start a new recording, dropping any previous one
+    start(sourceSize = { width: 0, height: 0 }) {
+        this.frames = [];
+        this.sourceSize = { width: sourceSize.width, height: sourceSize.height };
+        this.startTime = performance.now();
+        this.recordedAt = new Date().toISOString();
+        this.isRecording = true;
+        console.log("Landmark recording started");
+    }
+
+    // Stop recording; the captured frames are kept for download
+    stop() {
+        this.isRecording = false;
+        console.log(`Landmark recording stopped with ${this.frames.length} frames`);
+    }
+
+    // Capture one detection result: a list of faces ({ id, landmarks, keypoints })
+    capture(faces) {
+        if (!this.isRecording) return;
+
+        this.frames.push({
+            t: Math.round(performance.now() - this.startTime),
+            faces: faces.map(face => ({
+                id: face.id,
+                landmarks: face.landmarks.map(landmark => Array.isArray(landmark)
+                    ? [...landmark]
+                    : [landmark.x, landmark.y, landmark.z || 0]),
+                keypoints: face.keypoints.map(point => [
+                    point.x, point.y, point.z || 0,
+                    point.feature || 'other',
+                    point.index !== undefined ? point.index : -1
+                ])
+            }))
+        });
+    }
+
+    // Get the header describing this recording
+    getHeader() {
+        return {
+            version: LANDMARK_TIMELINE_VERSION,
+            source: this.sourceSize,
+            recordedAt: this.recordedAt,
+            frameCount: this.frames.length
+        };
+    }
+
+    // Download the recording as a .json or .ndjson file
+    download(format = 'json', filename = 'landmarks') {
+        if (this.frames.length === 0) {
+            console.warn("Nothing recorded yet");
+            return;
+        }
+
+        if (format === 'ndjson') {
+            const lines = [JSON.stringify(this.getHeader())];
+            for (const frame of this.frames) {
+                lines.push(JSON.stringify(frame));
+            }
+            saveStrings(lines, filename, 'ndjson');
+        } else {
+            saveJSON({ ...this.getHeader(), frames: this.frames }, `${filename}.json`, true);
+        }
+    }
+}
+
+// Parse a JSON or NDJSON timeline into { header, frames }
+function parseLandmarkTimeline(text) {
+    let header;
+    let frames;
+
+    const trimmed = text.trim();
+    try {
+        const data = JSON.parse(trimmed);
+        frames = data.frames;
+        header = data;
+    } catch (err) {
+        // Not a single JSON document, so read it as NDJSON
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim().length > 0);
+        header = JSON.parse(lines[0]);
+        frames = lines.slice(1).map(line => JSON.parse(line));
+    }
+
+    if (!Array.isArray(frames) || frames.length === 0) {
+        throw new Error("Landmark timeline has no frames");
+    }
+    if (header.version !== undefined && header.version > LANDMARK_TIMELINE_VERSION) {
+        console.warn(`Landmark timeline version ${header.version} is newer than supported (${LANDMARK_TIMELINE_VERSION})`);
+    }
+
+    // Keep frames in time order so playback can search forward
+    frames.sort((a, b) => a.t - b.t);
+
+    // Version 1 frames hold a single face
+    for (const frame of frames) {
+        if (!frame.faces) {
+            frame.faces = (frame.landmarks && frame.landmarks.length) || (frame.keypoints && frame.keypoints.length)
+                ? [{ id: 0, landmarks: frame.landmarks || [], keypoints: frame.keypoints || [] }]
+                : [];
+        }
+    }
+
+    return {
+        header: {
+            version: header.version || LANDMARK_TIMELINE_VERSION,
+            source: header.source || { width: 640, height: 480 }
+        },
+        frames: frames
+    };
+}
+
+// ReplaySource feeds a recorded timeline back instead of running a detector.
+// In 'realtime' mode frames play at their recorded timing; in 'step' mode
+// every call to nextFrame() advances a fixed number of frames (one per draw()).
+class ReplaySource extends LandmarkSource {
+    constructor(fileOrUrl, options = {}) {
+        super('replay');
+        this.fileOrUrl = fileOrUrl;
+        this.providesLandmarks = true; // Tells FaceTracker to skip the detector
+        this.timeline = null;
+        this.mode = options.mode || 'realtime';
+        this.step = options.step || 1;
+        this.speed = options.speed || 1;
+        this.loop = options.loop !== undefined ? options.loop : true;
+        this.frameIndex = 0;
+        this.startTime = 0;
+    }
+
+    async setup() {
+        let text;
+        if (typeof this.fileOrUrl === 'string') {
+            const response = await fetch(this.fileOrUrl);
+            if (!response.ok) {
+                throw new Error(`Could not load landmark timeline: ${this.fileOrUrl}`);
+            }
+            text = await response.text();
+        } else {
+            text = await this.fileOrUrl.text();
+        }
+
+        this.timeline = parseLandmarkTimeline(text);
+        this.restart();
+        this.isReady = true;
+        console.log(`Replaying ${this.timeline.frames.length} landmark frames`);
+    }
+
+    // Go back to the first frame
+    restart() {
+        this.frameIndex = 0;
+        this.startTime = performance.now();
+    }
+
+    // Switch between 'realtime' and 'step' playback
+    setMode(mode) {
+        this.mode = mode;
+        this.restart();
+    }
+
+    getSize() {
+        return this.timeline ? this.timeline.header.source : { width: 0, height: 0 };
+    }
+
+    // Get the frame to show now, or null when playback has finished
+    nextFrame() {
+        if (!this.timeline) return null;
+
+        const frames = this.timeline.frames;
+        const duration = frames[frames.length - 1].t;
+
+        if (this.mode === 'step') {
+            if (this.frameIndex >= frames.length) {
+                if (!this.loop) return null;
+                this.frameIndex = 0;
+            }
+            const frame = frames[this.frameIndex];
+            this.frameIndex += this.step;
+            return frame;
+        }
+
+        let elapsed = (performance.now() - this.startTime) * this.speed;
+        if (elapsed > duration) {
+            if (!this.loop) return frames[frames.length - 1];
+            // Start the next pass from the first frame
+            if (duration <= 0 || this.frameIndex >= frames.length - 1) {
+                this.restart();
+                elapsed = 0;
+            }
+        }
+
+        // Advance to the last frame at or before the elapsed time
+        while (this.frameIndex < frames.length - 1 && frames[this.frameIndex + 1].t <= elapsed) {
+            this.frameIndex++;
+        }
+        return frames[this.frameIndex];
+    }
+
+    dispose() {
+        this.timeline = null;
+        super.dispose();
+    }
+}
@@ -0,0 +1,155 @@
+// LandmarkSource is the input the FaceTracker runs its detector on.
+// Every source provides a p5 media element (video, capture or image) and its size;
+// the sketch can swap sources at runtime without reloading the page.
+class LandmarkSource {
+    constructor(name = 'source') {
+        this.name = name;
+        this.element = null;
+        this.isReady = false;
+        this.objectUrl = null; // Blob URL to revoke on dispose, for local files
+    }
+
+    // Prepare the media element; resolves once it can be used for detection
+    async setup() {
+        throw new Error(`${this.constructor.name} does not implement setup()`);
+    }
+
+    // Get the p5 element the detector reads from
+    getElement() {
+        return this.element;
+    }
+
+    // Get the size of the frames in pixels (the landmark coordinate space)
+    getSize() {
+        if (!this.element) return { width: 0, height: 0 };
+        return { width: this.element.width, height: this.element.height };
+    }
+
+    // Release the media element
+    dispose() {
+        this.isReady = false;
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+}
+
+// Live webcam feed
+class WebcamSource extends LandmarkSource {
+    constructor(width = 640, height = 480) {
+        super('webcam');
+        this.width = width;
+        this.height = height;
+    }
+
+    async setup() {
+        // Create video element for webcam feed
+        this.element = createCapture(VIDEO);
+        this.element.size(this.width, this.height);
+        this.element.hide(); // Hide the video element
+        this.isReady = true;
+    }
+
+    dispose() {
+        // Stop the camera so the browser releases it
+        if (this.element && this.element.elt && this.element.elt.srcObject) {
+            try {
+                this.element.elt.srcObject.getTracks().forEach(track => track.stop());
+            } catch (err) {
+                console.warn("Error stopping webcam tracks:", err);
+            }
+        }
+        super.dispose();
+    }
+}
+
+// Local or hosted video file, looped and muted
+class VideoFileSource extends LandmarkSource {
+    constructor(url) {
+        super('video');
+        this.url = url;
+    }
+
+    setup() {
+        return new Promise((resolve, reject) => {
+            this.element = createVideo(this.url, () => {
+                const elt = this.element.elt;
+                // Match the element size to the clip so landmarks come back in clip pixels
+                this.element.size(elt.videoWidth || 640, elt.videoHeight || 480);
+                this.element.volume(0);
+                this.element.loop();
+                this.isReady = true;
+                resolve();
+            });
+            this.element.hide();
+            this.element.elt.muted = true;
+            this.element.elt.playsInline = true;
+            this.element.elt.addEventListener('error', () => {
+                reject(new Error(`Could not load video: ${this.url}`));
+            }, { once: true });
+        });
+    }
+}
+
+// Still image; the detector keeps running on the same frame
+class ImageSource extends LandmarkSource {
+    constructor(url) {
+        super('image');
+        this.url = url;
+    }
+
+    setup() {
+        return new Promise((resolve, reject) => {
+            this.element = createImg(this.url, 'Landmark source', 'anonymous', () => {
+                const elt = this.element.elt;
+                this.element.size(elt.naturalWidth, elt.naturalHeight);
+                this.isReady = true;
+                resolve();
+            });
+            this.element.hide();
+            this.element.elt.addEventListener('error', () => {
+                reject(new Error(`Could not load image: ${this.url}`));
+            }, { once: true });
+        });
+    }
+}
+
+// Create a source for a media URL or File, picking the type from its MIME type or extension
+function createLandmarkSourceFor(fileOrUrl) {
+    let url = fileOrUrl;
+    let type = '';
+
+    // Recorded landmark timelines are replayed directly, without a detector
+    if (/\.(json|ndjson)(\?|$)/i.test(fileOrUrl.name || String(fileOrUrl))) {
+        return new ReplaySource(fileOrUrl);
+    }
+
+    if (typeof File !== 'undefined' && fileOrUrl instanceof File) {
+        url = URL.createObjectURL(fileOrUrl);
+        type = fileOrUrl.type;
+    } else if (/\.(mp4|webm|ogv|ogg|mov|m4v)(\?|$)/i.test(String(fileOrUrl))) {
+        type = 'video/';
+    } else if (/\.(png|jpe?g|gif|webp|bmp)(\?|$)/i.test(String(fileOrUrl))) {
+        type = 'image/';
+    }
+
+    let source = null;
+    if (type.startsWith('video/')) {
+        source = new VideoFileSource(url);
+    } else if (type.startsWith('image/')) {
+        source = new ImageSource(url);
+    } else {
+        if (url !== fileOrUrl) URL.revokeObjectURL(url);
+        throw new Error(`Unsupported landmark source: ${fileOrUrl.name || fileOrUrl}`);
+    }
+
+    if (url !== fileOrUrl) {
+        source.objectUrl = url;
+    }
+    return source;
+}
@@ -0,0 +1,132 @@
+// Negative space: the 'negative' attraction mode turns the face into a void.
+// FaceObstacle builds the face silhouette from the faceContour landmarks (a
+// convex hull, grown by a margin) and particles fill the rest of the screen,
+// steering around the silhouette and bouncing off it. The eyes and an open
+// mouth can be holes in the void: some particles fly into them and stay
+// there, so the features show through the empty face.
+
+// Which holes the void has
+const NEGATIVE_SPACE_HOLES = ['none', 'mouth', 'eyes', 'both'];
+
+// Convex hull of points ({x, y}) with Andrew's monotone chain, counter-clockwise on screen
+function convexHull(points) {
+    const sorted = points.map(point => ({ x: point.x, y: point.y })).sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    for (const point of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+        lower.push(point);
+    }
+    const upper = [];
+    for (let k = sorted.length - 1; k >= 0; k--) {
+        const point = sorted[k];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+        upper.push(point);
+    }
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+}
+
+// Move every point of a polygon away from its centre by margin pixels
+function growPolygon(polygon, margin) {
+    let cx = 0, cy = 0;
+    for (const point of polygon) {
+        cx += point.x;
+        cy += point.y;
+    }
+    cx /= polygon.length;
+    cy /= polygon.length;
+    return polygon.map(point => {
+        const d = Math.hypot(point.x - cx, point.y - cy) || 1;
+        return { x: point.x + (point.x - cx) / d * margin, y: point.y + (point.y - cy) / d * margin };
+    });
+}
+
+// Even-odd test for a point inside a polygon
+function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let k = 0, j = polygon.length - 1; k < polygon.length; j = k++) {
+        const a = polygon[k];
+        const b = polygon[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Closest point on a polygon's outline: { x, y, distance }
+function closestPointOnPolygon(x, y, polygon) {
+    let best = { x: polygon[0].x, y: polygon[0].y, distance: Infinity };
+    for (let k = 0; k < polygon.length; k++) {
+        const a = polygon[k];
+        const b = polygon[(k + 1) % polygon.length];
+        const ex = b.x - a.x;
+        const ey = b.y - a.y;
+        const lengthSq = ex * ex + ey * ey;
+        const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((x - a.x) * ex + (y - a.y) * ey) / lengthSq)) : 0;
+        const px = a.x + ex * t;
+        const py = a.y + ey * t;
+        const distance = Math.hypot(x - px, y - py);
+        if (distance < best.distance) {
+            best = { x: px, y: py, distance };
+        }
+    }
+    return best;
+}
+
+class FaceObstacle {
+    constructor() {
+        this.hull = [];        // Face silhouette, [] when there is no face
+        this.holes = [];       // Polygons inside the hull that particles may enter
+        this.margin = 12;      // Pixels the silhouette is grown by
+        this.lookAhead = 12;   // Frames of movement checked ahead for steering
+        this.holeMode = 'mouth'; // NEGATIVE_SPACE_HOLES
+        this.holeShare = 0.15; // Share of particles that fill the holes when there are any
+    }
+
+    // Rebuild the silhouette and holes from a swarm's attractors
+    update(system, isMouthOpen = false) {
+        const contour = system.getAttractors('faceContour');
+        // Layouts with too little contour (e.g. PoseNet's ears) use every landmark
+        const outline = contour.length >= 3 ? contour.concat(system.getAttractors('leftEyebrow'), system.getAttractors('rightEyebrow')) : system.attractors;
+        this.hull = outline.length >= 3 ? growPolygon(convexHull(outline), this.margin) : [];
+
+        this.holes = [];
+        if (this.hull.length === 0) return;
+        const addHole = feature => {
+            const points = system.getAttractors(feature);
+            if (points.length >= 3) {
+                this.holes.push(convexHull(points));
+            }
+        };
+        if (isMouthOpen && (this.holeMode === 'mouth' || this.holeMode === 'both')) {
+            addHole('lips');
+        }
+        if (this.holeMode === 'eyes' || this.holeMode === 'both') {
+            addHole('leftEye');
+            addHole('rightEye');
+        }
+    }
+
+    // Whether a point is in the solid part of the void (inside the face, outside the holes)
+    isSolid(x, y) {
+        if (this.hull.length === 0 || !pointInPolygon(x, y, this.hull)) return false;
+        return !this.holes.some(hole => pointInPolygon(x, y, hole));
+    }
+
+    // Closest point on any edge of the solid part (the silhouette or a hole): { x, y, distance }
+    closestEdge(x, y) {
+        let best = closestPointOnPolygon(x, y, this.hull);
+        for (const hole of this.holes) {
+            const edge = closestPointOnPolygon(x, y, hole);
+            if (edge.distance < best.distance) {
+                best = edge;
+            }
+        }
+        return best;
+    }
+}
@@ -0,0 +1,184 @@
+// Emitters decide where new particles come from. Each one places particles
+// at a source - anywhere on the canvas (the original respawn), along a
+// facial feature, at one landmark, on the screen edges or on a shape - and
+// sends them off inside a velocity cone. A swarm's maxParticles budget is
+// split between its emitters by their shares; emitters whose source is
+// missing this frame (e.g. no face) hand their share to the others.
+//
+// Emitter settings:
+// source    - 'canvas', 'feature', 'landmark', 'edges' or 'shape'
+// features  - for 'feature': facial features to emit from (e.g. ['lips'])
+// index     - for 'landmark': the landmark index
+// shape     - for 'shape': { type: 'circle', x, y, radius }, { type: 'line', x1, y1, x2, y2 }
+//             or { type: 'rect', x, y, w, h }, in canvas pixels
+// rate      - particles per second (Infinity refills at once, within spawnRate)
+// share     - relative share of the particle budget
+// direction - 'outward' (from the feature's centre, the shape or into the screen from an edge),
+//             'inward', 'random' or an angle in radians (0 is to the right)
+// spread    - half-angle of the velocity cone, in radians
+// speed     - [min, max] initial speed
+// size, decay, palette - optional particle type: ranges used instead of the swarm's
+
+const EMITTER_DEFAULTS = {
+    source: 'canvas',
+    features: ['lips'],
+    index: 0,
+    shape: null,
+    rate: Infinity,
+    share: 1,
+    direction: 'random',
+    spread: Math.PI,
+    speed: [0.5, 2],
+    size: null,
+    decay: null,
+    palette: null
+};
+
+class ParticleEmitter {
+    constructor(settings = {}) {
+        Object.assign(this, EMITTER_DEFAULTS, settings);
+        this.pending = 0;      // Particles owed by the rate, carried between frames
+        this.burstCount = 0;   // Particles owed by trigger()
+        this.point = { x: 0, y: 0, z: 0, angle: 0 }; // Reused by spawnPoint() and launchVelocity(),
+        this.velocity = { x: 0, y: 0 };              // so emitting allocates nothing
+    }
+
+    // Emit a burst of particles next frame, on top of the rate and budget (extra particles fade out)
+    trigger(count = 20) {
+        this.burstCount += count;
+    }
+
+    // Whether the source is there this frame
+    isAvailable(system) {
+        switch (this.source) {
+            case 'feature':
+                return this.presentFeatureCount(system) > 0;
+            case 'landmark':
+                return this.findLandmark(system) !== null;
+            case 'shape':
+                return Boolean(this.shape);
+            default:
+                return true;
+        }
+    }
+
+    // How many of the emitter's features are present this frame
+    presentFeatureCount(system) {
+        let count = 0;
+        for (const feature of this.features) {
+            if (system.featureRegions[feature]) count++;
+        }
+        return count;
+    }
+
+    // The emitter's landmark among the swarm's attractors, or null
+    findLandmark(system) {
+        for (const attractor of system.attractors) {
+            if (attractor.index === this.index) return attractor;
+        }
+        return null;
+    }
+
+    // Where the next particle starts and which way "outward" points: this.point
+    // ({ x, y, angle }, overwritten by the next call), or null when the source is missing
+    spawnPoint(system) {
+        const point = this.point;
+        switch (this.source) {
+            case 'feature': {
+                // Pick one of the present features at random
+                let pick = Math.floor(Math.random() * this.presentFeatureCount(system));
+                let region = null;
+                for (const feature of this.features) {
+                    if (system.featureRegions[feature] && pick-- === 0) {
+                        region = system.featureRegions[feature];
+                        break;
+                    }
+                }
+                if (!region) return null;
+                pointAlongPath(region, Math.random(), point);
+                return this.setPoint(point.x, point.y, Math.atan2(point.y - region.centroid.y, point.x - region.centroid.x));
+            }
+            case 'landmark': {
+                const landmark = this.findLandmark(system);
+                if (!landmark) return null;
+                const centre = system.featureRegions[landmark.feature];
+                return this.setPoint(landmark.x, landmark.y, centre ? Math.atan2(landmark.y - centre.centroid.y, landmark.x - centre.centroid.x) : random(TWO_PI));
+            }
+            case 'edges': {
+                // Pick an edge in proportion to its length; outward points into the screen
+                const along = Math.random() * (width + height) * 2;
+                if (along < width) return this.setPoint(along, 0, HALF_PI);
+                if (along < width * 2) return this.setPoint(along - width, height, -HALF_PI);
+                if (along < width * 2 + height) return this.setPoint(0, along - width * 2, 0);
+                return this.setPoint(width, along - width * 2 - height, PI);
+            }
+            case 'shape':
+                return this.shape ? this.shapePoint(this.shape) : null;
+            default:
+                return this.setPoint(random(width), random(height), random(TWO_PI));
+        }
+    }
+
+    // Fill in this.point and return it
+    setPoint(x, y, angle) {
+        this.point.x = x;
+        this.point.y = y;
+        this.point.angle = angle;
+        return this.point;
+    }
+
+    // Random point on a shape's outline, with the outline's outward angle
+    shapePoint(shape) {
+        if (shape.type === 'circle') {
+            const angle = random(TWO_PI);
+            return this.setPoint(shape.x + Math.cos(angle) * shape.radius, shape.y + Math.sin(angle) * shape.radius, angle);
+        }
+        if (shape.type === 'line') {
+            const t = Math.random();
+            const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1) + (Math.random() < 0.5 ? HALF_PI : -HALF_PI);
+            return this.setPoint(shape.x1 + (shape.x2 - shape.x1) * t, shape.y1 + (shape.y2 - shape.y1) * t, angle);
+        }
+        // Rectangle: like the screen edges, but facing out
+        const along = Math.random() * (shape.w + shape.h) * 2;
+        if (along < shape.w) return this.setPoint(shape.x + along, shape.y, -HALF_PI);
+        if (along < shape.w * 2) return this.setPoint(shape.x + along - shape.w, shape.y + shape.h, HALF_PI);
+        if (along < shape.w * 2 + shape.h) return this.setPoint(shape.x, shape.y + along - shape.w * 2, PI);
+        return this.setPoint(shape.x + shape.w, shape.y + along - shape.w * 2 - shape.h, 0);
+    }
+
+    // Initial velocity for a particle leaving a spawn point: this.velocity, overwritten by the next call
+    launchVelocity(point) {
+        let angle;
+        if (this.direction === 'random') {
+            angle = random(TWO_PI);
+        } else {
+            const base = this.direction === 'outward' ? point.angle
+                : this.direction === 'inward' ? point.angle + PI
+                : this.direction;
+            angle = base + random(-this.spread, this.spread);
+        }
+        const speed = random(this.speed[0], this.speed[1]);
+        this.velocity.x = Math.cos(angle) * speed;
+        this.velocity.y = Math.sin(angle) * speed;
+        return this.velocity;
+    }
+}
+
+// Ready-made emitter layouts, cycled with the L key
+const EMITTER_SETS = {
+    scatter: [
+        {}
+    ],
+    features: [
+        { source: 'feature', features: ['lips'], rate: 120, share: 3, direction: 'outward', spread: 0.5, speed: [1, 3] },
+        { source: 'feature', features: ['leftEye', 'rightEye'], rate: 80, share: 2, direction: 'outward', spread: 0.3, speed: [0.5, 1.5], size: [1.5, 3] },
+        { source: 'canvas', rate: 30, share: 1 }
+    ],
+    edges: [
+        { source: 'edges', rate: 200, direction: 'outward', spread: 0.4, speed: [2, 4] }
+    ],
+    contour: [
+        { source: 'feature', features: ['faceContour'], rate: 150, share: 3, direction: 'outward', spread: 0.2, speed: [1, 2.5], decay: [1.5, 3] },
+        { source: 'canvas', rate: 40, share: 1 }
+    ]
+};
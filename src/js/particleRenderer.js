@@ -0,0 +1,306 @@
+// Particle renderers draw a ParticleSystem's particles, far to near.
+// EllipseRenderer is the reference path: one p5 fill() and ellipse() per
+// particle. SpriteRenderer is the fast path: every colour is rendered once
+// into a sprite atlas and particles are stamped with drawImage() straight on
+// the canvas context, which browsers batch well and which skips p5's
+// per-call colour parsing and state handling. PlexusRenderer joins nearby
+// particles with fading lines, so the face reads as a glowing network.
+
+const PARTICLE_RENDER_MODES = ['sprite', 'plexus', 'ellipse'];
+
+// Reference renderer using p5 drawing calls
+class EllipseRenderer {
+    draw(system) {
+        const store = system.particles;
+        noStroke();
+        for (const i of system.sortByDepth()) {
+            const size = system.displaySize(i);
+            fill(store.color[i * 4], store.color[i * 4 + 1], store.color[i * 4 + 2], system.displayAlpha(i));
+            ellipse(store.position[i * 2], store.position[i * 2 + 1], size, size);
+        }
+    }
+}
+
+// Batched renderer stamping pre-rendered discs from a sprite atlas
+class SpriteRenderer {
+    constructor(options = {}) {
+        this.spriteSize = options.spriteSize || 32; // Diameter each disc is rendered at, in atlas pixels
+        this.levels = options.levels || 16;         // Colour steps per channel (colours are quantized to these)
+        this.columns = 32;                          // Atlas cells per row
+        this.rows = 0;
+        this.atlas = null;                          // Offscreen canvas holding the sprites
+        this.atlasContext = null;
+        this.cells = new Map();                     // Quantized colour key -> cell index
+    }
+
+    // Width and height of one atlas cell (the disc plus a pixel of padding)
+    get cellSize() {
+        return this.spriteSize + 2;
+    }
+
+    // Make room for more sprites, keeping the ones already drawn
+    grow() {
+        const rows = Math.max(4, this.rows * 2);
+        const atlas = document.createElement('canvas');
+        atlas.width = this.columns * this.cellSize;
+        atlas.height = rows * this.cellSize;
+        const context = atlas.getContext('2d');
+        if (this.atlas) {
+            context.drawImage(this.atlas, 0, 0);
+        }
+        this.atlas = atlas;
+        this.atlasContext = context;
+        this.rows = rows;
+    }
+
+    // Get the atlas cell for a colour, rendering it the first time it is used
+    cellFor(r, g, b) {
+        const step = 255 / (this.levels - 1);
+        const qr = Math.round(r / step);
+        const qg = Math.round(g / step);
+        const qb = Math.round(b / step);
+        const key = (qr * this.levels + qg) * this.levels + qb;
+
+        let cell = this.cells.get(key);
+        if (cell !== undefined) return cell;
+
+        cell = this.cells.size;
+        if (cell >= this.columns * this.rows) {
+            this.grow();
+        }
+        this.cells.set(key, cell);
+
+        const context = this.atlasContext;
+        const x = (cell % this.columns) * this.cellSize + 1;
+        const y = Math.floor(cell / this.columns) * this.cellSize + 1;
+        const radius = this.spriteSize / 2;
+        context.fillStyle = `rgb(${Math.round(qr * step)}, ${Math.round(qg * step)}, ${Math.round(qb * step)})`;
+        context.beginPath();
+        context.arc(x + radius, y + radius, radius, 0, Math.PI * 2);
+        context.fill();
+        return cell;
+    }
+
+    draw(system) {
+        if (!this.atlas) {
+            this.grow();
+        }
+
+        const store = system.particles;
+        const context = drawingContext;
+        const cellSize = this.cellSize;
+        const spriteSize = this.spriteSize;
+
+        context.save();
+        for (const i of system.sortByDepth()) {
+            const alpha = system.displayAlpha(i);
+            if (alpha <= 0) continue;
+
+            const size = system.displaySize(i);
+            const cell = this.cellFor(store.color[i * 4], store.color[i * 4 + 1], store.color[i * 4 + 2]);
+            const sx = (cell % this.columns) * cellSize + 1;
+            const sy = Math.floor(cell / this.columns) * cellSize + 1;
+
+            context.globalAlpha = alpha / 255;
+            context.drawImage(this.atlas, sx, sy, spriteSize, spriteSize,
+                store.position[i * 2] - size / 2, store.position[i * 2 + 1] - size / 2, size, size);
+        }
+        context.restore();
+    }
+}
+
+// Lines between particles closer than linkDistance, fading with distance and
+// lifespan and coloured like their ends, with the particles drawn on top.
+// With linkLandmarks, particles on neighbouring points of a feature are joined
+// as well, tracing the features: the owners of neighbouring slots in the
+// 'assigned' attraction mode, else the particles nearest each landmark.
+class PlexusRenderer {
+    constructor(options = {}) {
+        this.linkDistance = options.linkDistance || 45;
+        this.maxLinks = options.maxLinks || 6;    // Per particle, to bound the cost in dense areas
+        this.linkLandmarks = options.linkLandmarks !== undefined ? options.linkLandmarks : true;
+        this.levels = 8;                          // Colour and opacity steps; lines are stroked in one path per step
+        this.dots = getParticleRenderer('sprite');
+        this.batches = new Map();                 // Quantized stroke -> flat [x1, y1, x2, y2, ...]
+        this.neighbors = [];
+        this.slotOwners = new Int32Array(0);      // Particle per assignment slot, rebuilt every frame
+    }
+
+    // Queue a line from particle a to particle b with a strength from 0 to 1
+    addLine(system, a, b, strength) {
+        const store = system.particles;
+        const alpha = Math.min(system.displayAlpha(a), system.displayAlpha(b)) * strength;
+        const alphaLevel = Math.round(alpha / 255 * (this.levels - 1));
+        if (alphaLevel <= 0) return;
+
+        const step = 255 / (this.levels - 1);
+        let key = alphaLevel;
+        for (let c = 0; c < 3; c++) {
+            const value = (store.color[a * 4 + c] + store.color[b * 4 + c]) / 2;
+            key = key * this.levels + Math.round(value / step);
+        }
+
+        let batch = this.batches.get(key);
+        if (!batch) {
+            batch = [];
+            this.batches.set(key, batch);
+        }
+        batch.push(store.position[a * 2], store.position[a * 2 + 1], store.position[b * 2], store.position[b * 2 + 1]);
+    }
+
+    // Stroke every queued line, one path per colour and opacity step
+    flush() {
+        const context = drawingContext;
+        const step = 255 / (this.levels - 1);
+        context.save();
+        context.lineWidth = 1;
+        for (const [key, lines] of this.batches) {
+            if (lines.length === 0) continue;
+
+            let rest = key;
+            const b = rest % this.levels;
+            rest = Math.floor(rest / this.levels);
+            const g = rest % this.levels;
+            rest = Math.floor(rest / this.levels);
+            const r = rest % this.levels;
+            const alphaLevel = Math.floor(rest / this.levels);
+
+            context.strokeStyle = `rgba(${Math.round(r * step)}, ${Math.round(g * step)}, ${Math.round(b * step)}, ${alphaLevel / (this.levels - 1)})`;
+            context.beginPath();
+            for (let k = 0; k < lines.length; k += 4) {
+                context.moveTo(lines[k], lines[k + 1]);
+                context.lineTo(lines[k + 2], lines[k + 3]);
+            }
+            context.stroke();
+            lines.length = 0; // Keep the arrays for the next frame
+        }
+        context.restore();
+    }
+
+    // Landmark adjacency in the 'assigned' mode: owners of consecutive slots on the
+    // same feature, closing the loop on closed features (eyes, lips)
+    linkSlots(system) {
+        const store = system.particles;
+        // Owners come from the particles' own targets: the assignment's slotOwner
+        // indices go stale when particles are compacted in a frame it skips (no face)
+        const slots = system.assignment.slots;
+        if (this.slotOwners.length < slots.length) {
+            this.slotOwners = new Int32Array(slots.length);
+        }
+        const slotOwner = this.slotOwners;
+        slotOwner.fill(-1, 0, slots.length);
+        for (let i = 0; i < store.length; i++) {
+            const s = store.target[i];
+            if (s >= 0 && s < slots.length) {
+                slotOwner[s] = i;
+            }
+        }
+
+        let start = 0;
+        for (let s = 0; s < slots.length; s++) {
+            const last = s + 1 === slots.length || slots[s + 1].feature !== slots[s].feature;
+            const region = system.featureRegions[slots[s].feature];
+            const next = last ? (region && region.closed && s - start > 1 ? start : -1) : s + 1;
+            if (last) start = s + 1;
+            if (next < 0) continue;
+
+            const a = slotOwner[s];
+            const b = slotOwner[next];
+            if (a >= 0 && b >= 0) {
+                this.addLine(system, a, b, 0.8);
+            }
+        }
+    }
+
+    // Landmark adjacency in the other modes: the particles nearest consecutive
+    // landmarks of each feature, closing the loop on closed features
+    linkFeaturePoints(system) {
+        for (const feature in system.featureRegions) {
+            if (feature === 'other') continue; // Untagged points have no outline to follow
+
+            const { points, closed } = system.featureRegions[feature];
+            const first = this.nearestParticle(system, points[0]);
+            let previous = first;
+            for (let k = 1; k < points.length; k++) {
+                const current = this.nearestParticle(system, points[k]);
+                if (previous >= 0 && current >= 0 && previous !== current) {
+                    this.addLine(system, previous, current, 0.8);
+                }
+                previous = current;
+            }
+            if (closed && points.length > 2 && previous >= 0 && first >= 0 && previous !== first) {
+                this.addLine(system, previous, first, 0.8);
+            }
+        }
+    }
+
+    // Index of the particle nearest a point within linkDistance, or -1
+    nearestParticle(system, point) {
+        const pos = system.particles.position;
+        const neighbors = system.grid.query(point.x, point.y, this.linkDistance + system.maxSpeed, this.neighbors);
+        let nearest = -1;
+        let nearestDistSq = this.linkDistance * this.linkDistance;
+        for (const i of neighbors) {
+            const dx = pos[i * 2] - point.x;
+            const dy = pos[i * 2 + 1] - point.y;
+            const dSq = dx * dx + dy * dy;
+            if (dSq < nearestDistSq) {
+                nearest = i;
+                nearestDistSq = dSq;
+            }
+        }
+        return nearest;
+    }
+
+    draw(system) {
+        const store = system.particles;
+        const pos = store.position;
+        const maxDistSq = this.linkDistance * this.linkDistance;
+
+        // Reuse the grid update() built: its indices are still valid, but particles have
+        // moved up to maxSpeed since, so widen the search by what two of them can close
+        const searchRadius = this.linkDistance + 2 * system.maxSpeed;
+
+        for (let i = 0; i < store.length; i++) {
+            const neighbors = system.grid.query(pos[i * 2], pos[i * 2 + 1], searchRadius, this.neighbors);
+            let links = 0;
+            for (const j of neighbors) {
+                if (j <= i) continue; // Each pair once
+                const dx = pos[j * 2] - pos[i * 2];
+                const dy = pos[j * 2 + 1] - pos[i * 2 + 1];
+                const dSq = dx * dx + dy * dy;
+                if (dSq < maxDistSq) {
+                    this.addLine(system, i, j, 1 - Math.sqrt(dSq) / this.linkDistance);
+                    if (++links >= this.maxLinks) break;
+                }
+            }
+        }
+
+        if (this.linkLandmarks) {
+            if (system.attractionMode === 'assigned') {
+                this.linkSlots(system);
+            } else {
+                this.linkFeaturePoints(system);
+            }
+        }
+
+        this.flush();
+        this.dots.draw(system);
+    }
+}
+
+// One shared renderer per mode, so all swarms use the same sprite atlas
+const PARTICLE_RENDERERS = {};
+
+function getParticleRenderer(mode) {
+    if (!PARTICLE_RENDERERS[mode]) {
+        if (mode === 'ellipse') {
+            PARTICLE_RENDERERS[mode] = new EllipseRenderer();
+        } else if (mode === 'plexus') {
+            PARTICLE_RENDERERS[mode] = new PlexusRenderer();
+        } else {
+            PARTICLE_RENDERERS[mode] = new SpriteRenderer();
+        }
+    }
+    return PARTICLE_RENDERERS[mode];
+}
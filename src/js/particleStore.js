@@ -0,0 +1,131 @@
+// ParticleStore keeps particle state in flat typed arrays (structure of arrays).
+// Particle i lives at position[2i], position[2i + 1], color[4i..4i + 3] and so on,
+// so a frame of updates allocates nothing and the garbage collector stays quiet.
+class ParticleStore {
+    constructor(capacity = 500) {
+        this.length = 0;
+        this.capacity = 0;
+        this.allocate(Math.max(1, capacity));
+    }
+
+    // Allocate (or grow) the backing arrays, keeping existing particles
+    allocate(capacity) {
+        const old = this.capacity > 0 ? {
+            position: this.position,
+            velocity: this.velocity,
+            acceleration: this.acceleration,
+            color: this.color,
+            size: this.size,
+            lifespan: this.lifespan,
+            decay: this.decay,
+            depth: this.depth,
+            attracted: this.attracted,
+            feature: this.feature,
+            seed: this.seed,
+            target: this.target,
+            distance: this.distance,
+            emitter: this.emitter
+        } : null;
+
+        this.position = new Float32Array(capacity * 2);
+        this.velocity = new Float32Array(capacity * 2);
+        this.acceleration = new Float32Array(capacity * 2);
+        this.color = new Float32Array(capacity * 4);
+        this.size = new Float32Array(capacity);
+        this.lifespan = new Float32Array(capacity);
+        this.decay = new Float32Array(capacity);
+        this.depth = new Float32Array(capacity); // Nearness to the camera, 0 (far) to 1 (near)
+        this.attracted = new Uint8Array(capacity);
+        this.feature = new Uint8Array(capacity); // Id of the facial feature attracting the particle (FACIAL_FEATURE_IDS)
+        this.seed = new Float32Array(capacity); // Random number in [0, 1) fixed for the particle's life
+        this.target = new Int32Array(capacity); // Assigned slot (see LandmarkAssignment), -1 when none
+        this.distance = new Float32Array(capacity); // Distance to the point the particle is drawn to this frame, Infinity when free
+        this.emitter = new Uint8Array(capacity); // Index of the emitter that made the particle (see particleEmitters.js), 255 for none
+
+        if (old) {
+            for (const field in old) {
+                this[field].set(old[field].subarray(0, this.length * (old[field].length / this.capacity)));
+            }
+        }
+
+        this.capacity = capacity;
+    }
+
+    // Add a particle and return its index
+    add(x, y, vx, vy, size, r, g, b, a, decay) {
+        if (this.length >= this.capacity) {
+            this.allocate(this.capacity * 2);
+        }
+
+        const i = this.length++;
+        this.position[i * 2] = x;
+        this.position[i * 2 + 1] = y;
+        this.velocity[i * 2] = vx;
+        this.velocity[i * 2 + 1] = vy;
+        this.acceleration[i * 2] = 0;
+        this.acceleration[i * 2 + 1] = 0;
+        this.color[i * 4] = r;
+        this.color[i * 4 + 1] = g;
+        this.color[i * 4 + 2] = b;
+        this.color[i * 4 + 3] = a;
+        this.size[i] = size;
+        this.lifespan[i] = 255;
+        this.decay[i] = decay;
+        this.depth[i] = 0.5;
+        this.attracted[i] = 0;
+        this.feature[i] = FACIAL_FEATURE_IDS.other;
+        this.seed[i] = Math.random();
+        this.target[i] = -1;
+        this.distance[i] = Infinity;
+        this.emitter[i] = 255;
+        return i;
+    }
+
+    // Copy particle src into slot dst
+    move(src, dst) {
+        this.position[dst * 2] = this.position[src * 2];
+        this.position[dst * 2 + 1] = this.position[src * 2 + 1];
+        this.velocity[dst * 2] = this.velocity[src * 2];
+        this.velocity[dst * 2 + 1] = this.velocity[src * 2 + 1];
+        this.acceleration[dst * 2] = this.acceleration[src * 2];
+        this.acceleration[dst * 2 + 1] = this.acceleration[src * 2 + 1];
+        for (let c = 0; c < 4; c++) {
+            this.color[dst * 4 + c] = this.color[src * 4 + c];
+        }
+        this.size[dst] = this.size[src];
+        this.lifespan[dst] = this.lifespan[src];
+        this.decay[dst] = this.decay[src];
+        this.depth[dst] = this.depth[src];
+        this.attracted[dst] = this.attracted[src];
+        this.feature[dst] = this.feature[src];
+        this.seed[dst] = this.seed[src];
+        this.target[dst] = this.target[src];
+        this.distance[dst] = this.distance[src];
+        this.emitter[dst] = this.emitter[src];
+    }
+
+    // Check if a particle has run out of life
+    isDead(i) {
+        return this.lifespan[i] <= 0;
+    }
+
+    // Drop dead particles, keeping the survivors in their original order
+    removeDead() {
+        let write = 0;
+        for (let read = 0; read < this.length; read++) {
+            if (this.isDead(read)) continue;
+            if (write !== read) {
+                this.move(read, write);
+            }
+            write++;
+        }
+        const removed = this.length - write;
+        this.length = write;
+        return removed;
+    }
+
+    // Remove every particle
+    clear() {
+        this.length = 0;
+    }
+}
@@ -1,267 +1,974 @@
-// Particle class for individual particles
-class Particle {
-    constructor(x, y) {
-        this.position = createVector(x, y);
-        this.velocity = p5.Vector.random2D().mult(random(0.5, 2));
-        this.acceleration = createVector(0, 0);
+// Default colour ranges for new particles: each channel is picked at random within its range
+const DEFAULT_PARTICLE_PALETTE = {
+    r: [150, 255],
+    g: [150, 255],
+    b: [150, 255],
+    a: [255, 255] // Opacity scales the lifespan fade; full opacity is the original look
+};
+
+// A stable place in a [low, high] range, from a particle's seed and a
+// multiplier that gives each property its own spread
+function pickInRange(range, seed, k) {
+    return range[0] + (range[1] - range[0]) * fract(seed * k);
+}
+
+// How particles pick what to follow:
+// 'features' - each particle belongs to a facial feature and moves with its behaviour (featureBehaviours.js)
+// 'assigned' - each particle owns a point on a feature, spread evenly over the face (landmarkAssignment.js)
+// 'nearest'  - each particle seeks the closest landmark within attractionRadius
+// 'negative' - the face is a void the particles flow around (negativeSpace.js)
+const PARTICLE_ATTRACTION_MODES = ['features', 'assigned', 'nearest', 'negative'];
+
+// Where particle colours come from:
+// 'palette' - picked from the swarm's palette
+// 'video'   - taken from the source frame under the landmark a particle is drawn to (colorSampler.js)
+const PARTICLE_COLOR_MODES = ['palette', 'video'];
+
+// ParticleSystem manages multiple particles.
+// Particle state lives in a ParticleStore (typed arrays) and every behaviour
+// works on particle indices with plain numbers, so updating a frame does not
+// allocate p5.Vectors.
+class ParticleSystem {
+    constructor(numParticles = 500, options = {}) {
+        this.particles = new ParticleStore(numParticles);
+        this.attractors = [];
+        this.maxParticles = numParticles;
+        this.palette = options.palette || DEFAULT_PARTICLE_PALETTE;
+        this.spawnRate = options.spawnRate || Infinity; // Max new particles per frame
+        this.flow = { x: 0, y: 0 }; // Steady drift applied to every particle (e.g. from head pose)
+        this.forces = []; // Force fields (forceFields.js): { field, settings, weight, enabled }
+        this.emitters = [new ParticleEmitter()]; // Where new particles come from (particleEmitters.js)
+        this.obstacle = new FaceObstacle(); // Face silhouette for the 'negative' attraction mode
+        this.isMouthOpen = false; // Set from the face's actions; an open mouth can be a hole in the void
+        this.lastEmitTime = null; // Seconds
+        this.emitterCounts = new Int32Array(0); // Particles per emitter, reused every frame
+        this.emitterAvailable = new Uint8Array(0);
+        this.depthEffect = 1; // How much landmark depth changes size and brightness (0 turns it off)
+        this.attractionMode = options.attractionMode || 'features';
+        this.renderMode = options.renderMode || 'sprite'; // PARTICLE_RENDER_MODES
+        this.colorMode = options.colorMode || 'palette'; // PARTICLE_COLOR_MODES
+        this.colorRate = 0.1; // How quickly particles take on a sampled colour
+        this.colorPalette = null; // Named palette (colorPalettes.js); null keeps the palette's channel ranges
+        this.colorMapping = 'random'; // COLOR_MAPPINGS: which particle state picks the colour
+        this.colorCycle = 0; // Palette cycles per second
+        this.mappedColor = [0, 0, 0]; // Reused by mapColor()
+        this.featureBehaviours = options.featureBehaviours || DEFAULT_FEATURE_BEHAVIOURS;
+        this.surface = new FaceSurface(); // Triangle mesh over the attractors (faceSurface.js)
+        this.surfaceStyle = options.surfaceStyle || 'off'; // FACE_SURFACE_STYLES
+        this.surfaceInteraction = options.surfaceInteraction || 'none'; // FACE_SURFACE_INTERACTIONS
+
+        // Movement limits shared by all particles
         this.maxSpeed = 4;
         this.maxForce = 0.1;
-        this.size = random(3, 8);
-        this.color = {
-            r: random(150, 255),
-            g: random(150, 255),
-            b: random(150, 255),
-            a: random(150, 200)
-        };
-        this.lifespan = 255;
-        this.decay = random(0.5, 1.5);
-        this.isAttracted = false;
+
+        // Boid weights, attraction and look; presets change these (see applyPreset)
+        this.weights = { separation: 1.5, alignment: 1.0, cohesion: 1.0 };
+        this.attractionStrength = 2.5; // Seek strength at a landmark, a fifth of it at attractionRadius
+        this.sizeRange = [3, 8];
+        this.decayRange = [0.5, 1.5];
+
+        // Spatial indexes rebuilt every frame so neighbour and attractor
+        // lookups only visit nearby cells instead of the whole array
+        this.neighborRadius = 50; // Largest radius used by the boid behaviours
+        this.attractionRadius = 150;
+        this.grid = new SpatialGrid(this.neighborRadius);
+        this.attractorGrid = new SpatialGrid(this.attractionRadius);
+        this.neighbors = []; // Reused query buffers
+        this.nearbyAttractors = [];
+
+        // Depth range of the current attractors (landmark z, smaller is nearer)
+        this.nearestZ = 0;
+        this.farthestZ = 0;
+        this.drawOrder = []; // Particle indices sorted far to near, reused by display()
+        this.attractorsByFeature = groupByFeature([]);
+        this.featureRegions = {}; // Feature name -> region (see describeFeatureRegion), for features present
+        this.assignment = new LandmarkAssignment();
+
+        // Initialize particles
+        for (let i = 0; i < this.maxParticles; i++) {
+            this.emitFrom(0);
+        }
+    }
+
+    // Add a particle to the system, styled by its emitter (255 for none)
+    addParticle(emitter = 255) {
+        const x = random(width);
+        const y = random(height);
+        const angle = random(TWO_PI);
+        const speed = random(0.5, 2);
+
+        const i = this.particles.add(x, y, cos(angle) * speed, sin(angle) * speed, 0, 0, 0, 0, 0, 0);
+        this.particles.emitter[i] = emitter;
+        this.styleParticle(i);
+        return i;
+    }
+
+    // Pick a particle's colour, size and decay within the palette and ranges,
+    // or within its emitter's particle type where the emitter sets them.
+    // The picks come from the particle's seed, so restyling keeps each particle's place in the ranges.
+    // withColor = false keeps the particle's r, g, b (e.g. colours sampled from the video).
+    styleParticle(i, withColor = true) {
+        const store = this.particles;
+        const seed = store.seed[i];
+        const emitter = this.emitters[store.emitter[i]];
+        const palette = (emitter && emitter.palette) || this.palette;
+
+        if (withColor) {
+            store.color[i * 4] = pickInRange(palette.r, seed, 17);
+            store.color[i * 4 + 1] = pickInRange(palette.g, seed, 31);
+            store.color[i * 4 + 2] = pickInRange(palette.b, seed, 47);
+        }
+        store.color[i * 4 + 3] = pickInRange(palette.a, seed, 59);
+        store.size[i] = pickInRange((emitter && emitter.size) || this.sizeRange, seed, 71);
+        store.decay[i] = pickInRange((emitter && emitter.decay) || this.decayRange, seed, 89);
+    }
+
+    // Take on the settings of a preset (see presets.js) without resetting the particles.
+    // Swarms with a palette of their own pass usePalette = false. The attraction
+    // mode is left to SwarmManager, which only applies it when the preset's changes.
+    applyPreset(preset, usePalette = true) {
+        this.maxSpeed = preset.maxSpeed;
+        this.maxForce = preset.maxForce;
+        this.weights.separation = preset.separation;
+        this.weights.alignment = preset.alignment;
+        this.weights.cohesion = preset.cohesion;
+        this.attractionStrength = preset.attractionStrength;
+
+        if (preset.attractionRadius !== this.attractionRadius) {
+            this.attractionRadius = preset.attractionRadius;
+            this.attractorGrid.setCellSize(this.attractionRadius);
+        }
+
+        this.sizeRange = preset.size;
+        this.decayRange = preset.decay;
+        if (usePalette) {
+            this.palette = preset.palette;
+            this.colorPalette = NAMED_PALETTES[preset.colorPalette] || null;
+            this.colorMapping = preset.colorMapping;
+            this.colorCycle = preset.colorCycle;
+        }
+
+        // Existing particles move to the new look too
+        for (let i = 0; i < this.particles.length; i++) {
+            this.styleParticle(i, this.colorMode === 'palette');
+        }
+    }
+
+    // Switch where colours come from; going back to the palette restores palette colours
+    setColorMode(mode) {
+        this.colorMode = mode;
+        if (mode === 'palette') {
+            for (let i = 0; i < this.particles.length; i++) {
+                this.styleParticle(i);
+            }
+        }
+    }
+
+    // Push particles within a radius away from a point (e.g. on a blink)
+    burst(x, y, radius = 100, strength = 3) {
+        const store = this.particles;
+        const pos = store.position;
+        const vel = store.velocity;
+
+        for (let i = 0; i < store.length; i++) {
+            const dx = pos[i * 2] - x;
+            const dy = pos[i * 2 + 1] - y;
+            const d = Math.sqrt(dx * dx + dy * dy);
+            if (d > 0 && d < radius) {
+                // Stronger near the centre
+                const push = strength * (1 - d / radius);
+                vel[i * 2] += dx / d * push;
+                vel[i * 2 + 1] += dy / d * push;
+            }
+        }
+    }
+
+    // Spawn particles at a point, moving within a cone around a direction (e.g. out of an open mouth)
+    emitStream(x, y, dirX, dirY, count = 3, spread = 0.5, speed = 3) {
+        const baseAngle = Math.atan2(dirY, dirX);
+        for (let n = 0; n < count; n++) {
+            const i = this.addParticle();
+            const angle = baseAngle + random(-spread, spread);
+            const s = speed * random(0.7, 1.3);
+            this.particles.position[i * 2] = x;
+            this.particles.position[i * 2 + 1] = y;
+            this.particles.velocity[i * 2] = Math.cos(angle) * s;
+            this.particles.velocity[i * 2 + 1] = Math.sin(angle) * s;
+        }
+    }
+
+    // Set a steady drift; its length is the steering weight
+    setFlow(x, y) {
+        this.flow.x = x;
+        this.flow.y = y;
+    }
+
+    // Add a force field (see forceFields.js) with settings over its defaults; returns its entry,
+    // whose settings, weight and enabled flag can be changed later
+    addForce(name, settings = {}, weight = 1) {
+        const field = FORCE_FIELDS[name];
+        if (!field) {
+            throw new Error(`Unknown force field: ${name}`);
+        }
+        const entry = { field: name, settings: { ...field.defaults, ...settings }, weight, enabled: true };
+        this.forces.push(entry);
+        return entry;
+    }
+
+    // Remove a force field entry, or every field of a name
+    removeForce(entryOrName) {
+        for (let k = this.forces.length - 1; k >= 0; k--) {
+            if (this.forces[k] === entryOrName || this.forces[k].field === entryOrName) {
+                this.forces.splice(k, 1);
+            }
+        }
+    }
+
+    // Apply every enabled force field to particle i
+    applyForces(i, time) {
+        for (const entry of this.forces) {
+            const field = FORCE_FIELDS[entry.field];
+            if (entry.enabled && entry.weight !== 0 && field) {
+                field.apply(this, i, entry.settings, entry.weight, time);
+            }
+        }
     }
 
-    // Apply force to particle
-    applyForce(force) {
-        this.acceleration.add(force);
+    // Set attractor points based on facial landmarks.
+    // Points may carry a feature tag and landmark index (see facialFeatures.js).
+    // The full FaceMesh, when given, shapes the face surface instead of the points.
+    setAttractors(landmarks, mesh = null) {
+        this.attractors = landmarks;
+        this.attractorsByFeature = groupByFeature(landmarks);
+        this.surface.update(landmarks, mesh);
+
+        this.featureRegions = {};
+        for (const feature of FACIAL_FEATURES) {
+            if (this.attractorsByFeature[feature].length > 0) {
+                this.featureRegions[feature] = describeFeatureRegion(this.attractorsByFeature[feature]);
+            }
+        }
+
+        this.nearestZ = Infinity;
+        this.farthestZ = -Infinity;
+        for (const attractor of landmarks) {
+            const z = attractor.z || 0;
+            if (z < this.nearestZ) this.nearestZ = z;
+            if (z > this.farthestZ) this.farthestZ = z;
+        }
+    }
+
+    // How near an attractor is, from 0 (farthest) to 1 (nearest); 0.5 without depth
+    attractorNearness(attractor) {
+        const range = this.farthestZ - this.nearestZ;
+        if (!(range > 1)) return 0.5;
+        return (this.farthestZ - (attractor.z || 0)) / range;
+    }
+
+    // Accumulate a Reynolds steering force on particle i:
+    // steer = normalize(desired) * maxSpeed - velocity, limited to maxForce.
+    // A zero desired vector stays zero, so the particle brakes (as p5's normalize() does)
+    steer(i, desiredX, desiredY, weight = 1) {
+        const mag = Math.sqrt(desiredX * desiredX + desiredY * desiredY);
+        const scale = mag > 0 ? this.maxSpeed / mag : 0;
+
+        const vel = this.particles.velocity;
+        let steerX = desiredX * scale - vel[i * 2];
+        let steerY = desiredY * scale - vel[i * 2 + 1];
+
+        const steerMag = Math.sqrt(steerX * steerX + steerY * steerY);
+        if (steerMag > this.maxForce) {
+            steerX *= this.maxForce / steerMag;
+            steerY *= this.maxForce / steerMag;
+        }
+
+        this.particles.acceleration[i * 2] += steerX * weight;
+        this.particles.acceleration[i * 2 + 1] += steerY * weight;
     }
 
     // Calculate attraction to target point
-    seek(target, strength = 1) {
-        let desired = p5.Vector.sub(target, this.position);
-        let distance = desired.mag();
-        
-        if (distance < 1) {
-            return createVector(0, 0);
-        }
-        
-        desired.normalize();
-        desired.mult(this.maxSpeed);
-        
-        let steer = p5.Vector.sub(desired, this.velocity);
-        steer.limit(this.maxForce);
-        steer.mult(strength);
-        
-        return steer;
+    seek(i, targetX, targetY, strength = 1) {
+        const pos = this.particles.position;
+        const dx = targetX - pos[i * 2];
+        const dy = targetY - pos[i * 2 + 1];
+        this.particles.distance[i] = Math.sqrt(dx * dx + dy * dy);
+
+        if (dx * dx + dy * dy < 1) {
+            return;
+        }
+
+        this.steer(i, dx, dy, strength);
+    }
+
+    // Like seek, but slow down within slowRadius so the particle settles on the target
+    arrive(i, targetX, targetY, strength = 1, slowRadius = 40) {
+        const pos = this.particles.position;
+        const vel = this.particles.velocity;
+        const dx = targetX - pos[i * 2];
+        const dy = targetY - pos[i * 2 + 1];
+        const d = Math.sqrt(dx * dx + dy * dy);
+        this.particles.distance[i] = d;
+        if (d < 0.5) return;
+
+        const speed = this.maxSpeed * Math.min(1, d / slowRadius);
+        let steerX = dx / d * speed - vel[i * 2];
+        let steerY = dy / d * speed - vel[i * 2 + 1];
+
+        const steerMag = Math.sqrt(steerX * steerX + steerY * steerY);
+        if (steerMag > this.maxForce) {
+            steerX *= this.maxForce / steerMag;
+            steerY *= this.maxForce / steerMag;
+        }
+
+        this.particles.acceleration[i * 2] += steerX * strength;
+        this.particles.acceleration[i * 2 + 1] += steerY * strength;
     }
 
     // Separate from other particles (avoid crowding)
-    separate(particles, desiredSeparation = 25) {
-        let steer = createVector(0, 0);
+    separate(i, neighbors, weight = 1, desiredSeparation = 25) {
+        const pos = this.particles.position;
+        const x = pos[i * 2];
+        const y = pos[i * 2 + 1];
+        let sumX = 0;
+        let sumY = 0;
         let count = 0;
-        
-        for (let other of particles) {
-            let d = p5.Vector.dist(this.position, other.position);
-            if ((d > 0) && (d < desiredSeparation)) {
-                let diff = p5.Vector.sub(this.position, other.position);
-                diff.normalize();
-                diff.div(d); // Weight by distance
-                steer.add(diff);
+
+        for (const j of neighbors) {
+            const dx = x - pos[j * 2];
+            const dy = y - pos[j * 2 + 1];
+            const dSq = dx * dx + dy * dy;
+            if ((dSq > 0) && (dSq < desiredSeparation * desiredSeparation)) {
+                // Normalized away-vector weighted by distance
+                sumX += dx / dSq;
+                sumY += dy / dSq;
                 count++;
             }
         }
-        
-        if (count > 0) {
-            steer.div(count);
-        }
-        
-        if (steer.mag() > 0) {
-            steer.normalize();
-            steer.mult(this.maxSpeed);
-            steer.sub(this.velocity);
-            steer.limit(this.maxForce);
+
+        // Balanced pushes cancel out: no separation force rather than braking
+        if (count > 0 && (sumX !== 0 || sumY !== 0)) {
+            this.steer(i, sumX / count, sumY / count, weight);
         }
-        
-        return steer;
     }
 
     // Align with other particles
-    align(particles, neighborDistance = 50) {
-        let sum = createVector(0, 0);
+    align(i, neighbors, weight = 1, neighborDistance = 50) {
+        const pos = this.particles.position;
+        const vel = this.particles.velocity;
+        const x = pos[i * 2];
+        const y = pos[i * 2 + 1];
+        let sumX = 0;
+        let sumY = 0;
         let count = 0;
-        
-        for (let other of particles) {
-            let d = p5.Vector.dist(this.position, other.position);
-            if ((d > 0) && (d < neighborDistance)) {
-                sum.add(other.velocity);
+
+        for (const j of neighbors) {
+            const dx = x - pos[j * 2];
+            const dy = y - pos[j * 2 + 1];
+            const dSq = dx * dx + dy * dy;
+            if ((dSq > 0) && (dSq < neighborDistance * neighborDistance)) {
+                sumX += vel[j * 2];
+                sumY += vel[j * 2 + 1];
                 count++;
             }
         }
-        
+
         if (count > 0) {
-            sum.div(count);
-            sum.normalize();
-            sum.mult(this.maxSpeed);
-            let steer = p5.Vector.sub(sum, this.velocity);
-            steer.limit(this.maxForce);
-            return steer;
-        } else {
-            return createVector(0, 0);
+            this.steer(i, sumX / count, sumY / count, weight);
         }
     }
 
     // Cohesion: move toward the center of mass of neighbors
-    cohesion(particles, neighborDistance = 50) {
-        let sum = createVector(0, 0);
+    cohesion(i, neighbors, weight = 1, neighborDistance = 50) {
+        const pos = this.particles.position;
+        const x = pos[i * 2];
+        const y = pos[i * 2 + 1];
+        let sumX = 0;
+        let sumY = 0;
         let count = 0;
-        
-        for (let other of particles) {
-            let d = p5.Vector.dist(this.position, other.position);
-            if ((d > 0) && (d < neighborDistance)) {
-                sum.add(other.position);
+
+        for (const j of neighbors) {
+            const dx = x - pos[j * 2];
+            const dy = y - pos[j * 2 + 1];
+            const dSq = dx * dx + dy * dy;
+            if ((dSq > 0) && (dSq < neighborDistance * neighborDistance)) {
+                sumX += pos[j * 2];
+                sumY += pos[j * 2 + 1];
                 count++;
             }
         }
-        
+
         if (count > 0) {
-            sum.div(count);
-            return this.seek(sum, 0.5);
-        } else {
-            return createVector(0, 0);
+            this.seek(i, sumX / count, sumY / count, 0.5 * weight);
         }
     }
 
     // Stay within bounds
-    borders(width, height) {
+    borders(i, width, height, weight = 1) {
         const buffer = 50;
-        let desired = null;
-        
-        if (this.position.x < buffer) {
-            desired = createVector(this.maxSpeed, this.velocity.y);
-        } else if (this.position.x > width - buffer) {
-            desired = createVector(-this.maxSpeed, this.velocity.y);
-        }
-        
-        if (this.position.y < buffer) {
-            desired = desired || createVector(this.velocity.x, this.maxSpeed);
-        } else if (this.position.y > height - buffer) {
-            desired = desired || createVector(this.velocity.x, -this.maxSpeed);
-        }
-        
-        if (desired) {
-            desired.normalize();
-            desired.mult(this.maxSpeed);
-            let steer = p5.Vector.sub(desired, this.velocity);
-            steer.limit(this.maxForce);
-            return steer;
-        }
-        
-        return createVector(0, 0);
-    }
-
-    // Update particle position
-    update() {
-        this.velocity.add(this.acceleration);
-        this.velocity.limit(this.maxSpeed);
-        this.position.add(this.velocity);
-        this.acceleration.mult(0); // Reset acceleration
-        
+        const pos = this.particles.position;
+        const vel = this.particles.velocity;
+        const x = pos[i * 2];
+        const y = pos[i * 2 + 1];
+        let desiredX = 0;
+        let desiredY = 0;
+        let hasDesired = false;
+
+        if (x < buffer) {
+            desiredX = this.maxSpeed;
+            desiredY = vel[i * 2 + 1];
+            hasDesired = true;
+        } else if (x > width - buffer) {
+            desiredX = -this.maxSpeed;
+            desiredY = vel[i * 2 + 1];
+            hasDesired = true;
+        }
+
+        if (!hasDesired && y < buffer) {
+            desiredX = vel[i * 2];
+            desiredY = this.maxSpeed;
+            hasDesired = true;
+        } else if (!hasDesired && y > height - buffer) {
+            desiredX = vel[i * 2];
+            desiredY = -this.maxSpeed;
+            hasDesired = true;
+        }
+
+        if (hasDesired) {
+            this.steer(i, desiredX, desiredY, weight);
+        }
+    }
+
+    // Integrate velocity and position, then age the particle
+    integrate(i) {
+        const store = this.particles;
+        const vel = store.velocity;
+        const acc = store.acceleration;
+
+        let vx = vel[i * 2] + acc[i * 2];
+        let vy = vel[i * 2 + 1] + acc[i * 2 + 1];
+        const speed = Math.sqrt(vx * vx + vy * vy);
+        if (speed > this.maxSpeed) {
+            vx *= this.maxSpeed / speed;
+            vy *= this.maxSpeed / speed;
+        }
+
+        vel[i * 2] = vx;
+        vel[i * 2 + 1] = vy;
+        store.position[i * 2] += vx;
+        store.position[i * 2 + 1] += vy;
+        acc[i * 2] = 0; // Reset acceleration
+        acc[i * 2 + 1] = 0;
+
         // Reduce lifespan for particles not attracted to facial features
-        if (!this.isAttracted) {
-            this.lifespan -= this.decay;
+        if (!store.attracted[i]) {
+            store.lifespan[i] -= store.decay[i];
         } else {
             // Regenerate lifespan a bit if attracted
-            this.lifespan = min(255, this.lifespan + this.decay * 2);
+            store.lifespan[i] = min(255, store.lifespan[i] + store.decay[i] * 2);
         }
     }
 
-    // Display particle
-    display() {
-        noStroke();
-        fill(this.color.r, this.color.g, this.color.b, this.lifespan);
-        ellipse(this.position.x, this.position.y, this.size, this.size);
+    // Rebuild the spatial indexes for this frame
+    buildGrids() {
+        const pos = this.particles.position;
+        this.grid.clear();
+        for (let i = 0; i < this.particles.length; i++) {
+            this.grid.insert(i, pos[i * 2], pos[i * 2 + 1]);
+        }
+
+        this.attractorGrid.clear();
+        for (const attractor of this.attractors) {
+            this.attractorGrid.insert(attractor, attractor.x, attractor.y);
+        }
     }
 
-    // Check if the particle is still alive
-    isDead() {
-        return this.lifespan <= 0;
+    // Replace the emitters with new ones made from a list of settings (see particleEmitters.js)
+    setEmitters(settingsList) {
+        this.emitters = settingsList.map(settings => new ParticleEmitter(settings));
+        const store = this.particles;
+        store.emitter.fill(255, 0, store.length); // Existing particles now belong to no emitter
+        for (let i = 0; i < store.length; i++) {
+            this.styleParticle(i, this.colorMode === 'palette');
+        }
     }
-}
 
-// ParticleSystem manages multiple particles
-class ParticleSystem {
-    constructor(numParticles = 500) {
-        this.particles = [];
-        this.attractors = [];
-        this.maxParticles = numParticles;
-        
-        // Initialize particles
-        for (let i = 0; i < this.maxParticles; i++) {
-            this.addParticle();
+    // Start bursts on the emitters placed on a facial feature
+    triggerEmitters(feature, count = 20) {
+        for (const emitter of this.emitters) {
+            if (emitter.source === 'feature' && emitter.features.includes(feature)) {
+                emitter.trigger(count);
+            }
         }
     }
 
-    // Add a particle to the system
-    addParticle() {
-        const x = random(width);
-        const y = random(height);
-        this.particles.push(new Particle(x, y));
+    // Add particles from the emitters. Each available emitter fills up to its
+    // share of maxParticles at its rate. Particles from no emitter (streams, or
+    // made before the emitters changed) are not counted, so they end up over
+    // budget and fade out as the emitters refill; so do bursts.
+    emitParticles(time) {
+        const dt = this.lastEmitTime === null ? 0 : Math.min(time - this.lastEmitTime, 0.1);
+        this.lastEmitTime = time;
+
+        const store = this.particles;
+        const emitters = this.emitters;
+        // Buffers kept on the system, so a frame of emitting allocates nothing
+        if (this.emitterCounts.length < emitters.length) {
+            this.emitterCounts = new Int32Array(emitters.length);
+            this.emitterAvailable = new Uint8Array(emitters.length);
+        }
+        const counts = this.emitterCounts;
+        const available = this.emitterAvailable;
+        counts.fill(0);
+        for (let i = 0; i < store.length; i++) {
+            if (store.emitter[i] < emitters.length) {
+                counts[store.emitter[i]]++;
+            }
+        }
+
+        let totalShare = 0;
+        for (let e = 0; e < emitters.length; e++) {
+            available[e] = emitters[e].isAvailable(this) ? 1 : 0;
+            if (available[e]) totalShare += emitters[e].share;
+        }
+
+        let spawned = 0;
+        for (let e = 0; e < emitters.length; e++) {
+            const emitter = emitters[e];
+            if (!available[e]) {
+                emitter.burstCount = 0;
+                continue;
+            }
+
+            const quota = totalShare > 0 ? Math.floor(this.maxParticles * emitter.share / totalShare) : 0;
+            const owed = emitter.rate === Infinity ? Infinity : emitter.pending + emitter.rate * dt;
+            const count = Math.max(0, Math.min(
+                Math.floor(owed),
+                quota - counts[e],
+                this.spawnRate - spawned
+            ));
+            for (let n = 0; n < count; n++) {
+                this.emitFrom(e);
+            }
+            spawned += count;
+            // Owed particles don't pile up while the emitter is full
+            emitter.pending = emitter.rate === Infinity ? 0 : Math.min(owed - count, Math.max(1, emitter.rate * 0.25));
+
+            for (let n = 0; n < emitter.burstCount; n++) {
+                this.emitFrom(e);
+            }
+            emitter.burstCount = 0;
+        }
     }
 
-    // Set attractor points based on facial landmarks
-    setAttractors(landmarks) {
-        this.attractors = landmarks;
+    // Add one particle from emitter e
+    emitFrom(e) {
+        const emitter = this.emitters[e];
+        const point = emitter.spawnPoint(this);
+        if (!point) return;
+
+        const velocity = emitter.launchVelocity(point);
+        const store = this.particles;
+        const i = this.addParticle(e);
+        store.position[i * 2] = point.x;
+        store.position[i * 2 + 1] = point.y;
+        store.velocity[i * 2] = velocity.x;
+        store.velocity[i * 2 + 1] = velocity.y;
     }
 
     // Update all particles
     update() {
-        // Add particles if below max
-        while (this.particles.length < this.maxParticles) {
-            this.addParticle();
+        const time = millis() / 1000;
+
+        // Drop the particles that died last frame before building the grids, so the
+        // indices in this.grid stay valid after update() for renderers to reuse
+        this.particles.removeDead();
+
+        // Add particles from the emitters if below max
+        this.emitParticles(time);
+
+        this.buildGrids();
+
+        const store = this.particles;
+        const pos = store.position;
+
+        // Particles over budget (e.g. after maxParticles was lowered) fade out instead of regenerating
+        const surplus = store.length - this.maxParticles;
+
+        const useFeatures = this.attractionMode === 'features' && this.attractors.length > 0;
+        const useAssignment = this.attractionMode === 'assigned' && this.attractors.length > 0;
+        const useNegative = this.attractionMode === 'negative' && this.attractors.length > 0;
+        if (useNegative) {
+            this.obstacle.update(this, this.isMouthOpen);
+        } else if (useFeatures) {
+            this.assignFeatures();
+        } else if (useAssignment) {
+            this.assignment.update(store, this.featureRegions, this.featureBehaviours, this.maxParticles, surplus);
         }
-        
+
+        // Particles let go of the surface while it is shattered
+        const useSurface = this.surfaceInteraction !== 'none' && this.surface.hasTriangles() &&
+            this.surface.shatterProgress(time) < 0;
+
+        const flowStrength = Math.sqrt(this.flow.x * this.flow.x + this.flow.y * this.flow.y);
+
         // Update each particle
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const p = this.particles[i];
-            
+        for (let i = store.length - 1; i >= 0; i--) {
+            const x = pos[i * 2];
+            const y = pos[i * 2 + 1];
+
+            // One neighbour query shared by all three boid behaviours
+            const neighbors = this.grid.query(x, y, this.neighborRadius, this.neighbors);
+
             // Apply various behaviors
-            const separation = p.separate(this.particles).mult(1.5);
-            const alignment = p.align(this.particles).mult(1.0);
-            const cohesion = p.cohesion(this.particles).mult(1.0);
-            const borders = p.borders(width, height).mult(1.5);
-            
-            p.applyForce(separation);
-            p.applyForce(alignment);
-            p.applyForce(cohesion);
-            p.applyForce(borders);
-            
+            this.separate(i, neighbors, this.weights.separation);
+            this.align(i, neighbors, this.weights.alignment);
+            this.cohesion(i, neighbors, this.weights.cohesion);
+            this.borders(i, width, height, 1.5);
+
+            if (flowStrength > 0) {
+                this.steer(i, this.flow.x, this.flow.y, flowStrength);
+            }
+            this.applyForces(i, time);
+
             // Reset attraction flag
-            p.isAttracted = false;
-            
-            // Apply attraction to facial landmarks
-            if (this.attractors.length > 0) {
-                // Find the closest attractor
-                let closestDist = Infinity;
-                let closestAttractor = null;
-                
-                for (let attractor of this.attractors) {
-                    const d = p5.Vector.dist(p.position, attractor);
-                    if (d < closestDist && d < 150) { // Only consider attractors within range
-                        closestDist = d;
-                        closestAttractor = attractor;
+            store.attracted[i] = 0;
+            store.distance[i] = Infinity;
+
+            // Apply attraction to the face surface or the facial landmarks
+            if (useSurface) {
+                this.attractSurface(i, surplus);
+            } else if (useNegative) {
+                this.avoidFace(i, surplus);
+            } else if (useFeatures) {
+                this.attractByFeature(i, surplus, time);
+            } else if (useAssignment) {
+                // Trade slots with a random neighbour if both end up closer
+                if (neighbors.length > 1) {
+                    const j = neighbors[Math.floor(Math.random() * neighbors.length)];
+                    if (j !== i) {
+                        this.assignment.trySwap(store, i, j);
                     }
                 }
-                
-                // Apply attraction to closest attractor
-                if (closestAttractor) {
-                    // Strength varies by distance - stronger when closer
-                    const strength = map(closestDist, 0, 150, 2.5, 0.5);
-                    const attraction = p.seek(closestAttractor, strength);
-                    p.applyForce(attraction);
-                    p.isAttracted = true;
+                this.attractAssigned(i, surplus);
+            } else if (this.attractors.length > 0) {
+                this.attractNearest(i, surplus);
+            }
+
+            // Free particles drift back to the middle depth
+            if (!store.attracted[i]) {
+                store.depth[i] += (0.5 - store.depth[i]) * 0.02;
+            } else if (this.colorMode === 'video' && (i + frameCount) % 4 === 0) {
+                // Sampling a quarter of the particles per frame is plenty as colours ease in
+                this.tintFromAttractor(i);
+            }
+
+            if (this.colorMode === 'palette' && this.colorPalette) {
+                this.mapColor(i, time);
+            }
+
+            this.integrate(i);
+        }
+    }
+
+    // Hand particles to features so each present feature gets its share of the budget.
+    // Particles of missing or over-full features move to the feature furthest below its quota.
+    assignFeatures() {
+        const present = Object.keys(this.featureRegions);
+        if (present.length === 0) return;
+
+        const store = this.particles;
+        const featureCounts = featureQuotas(present, this.featureBehaviours, store.length);
+        const quotas = new Array(FACIAL_FEATURES.length).fill(0);
+        const counts = new Array(FACIAL_FEATURES.length).fill(0);
+        for (const feature of present) {
+            quotas[FACIAL_FEATURE_IDS[feature]] = featureCounts[feature];
+        }
+        for (let i = 0; i < store.length; i++) {
+            counts[store.feature[i]]++;
+        }
+
+        for (let i = 0; i < store.length; i++) {
+            const current = store.feature[i];
+            if (counts[current] <= quotas[current]) continue;
+
+            // Find the feature with the largest shortfall
+            let best = -1;
+            let bestShortfall = 0;
+            for (let f = 0; f < quotas.length; f++) {
+                if (quotas[f] - counts[f] > bestShortfall) {
+                    bestShortfall = quotas[f] - counts[f];
+                    best = f;
                 }
             }
-            
-            p.update();
-            
-            // Remove dead particles
-            if (p.isDead()) {
-                this.particles.splice(i, 1);
+            if (best < 0) break;
+
+            counts[current]--;
+            counts[best]++;
+            store.feature[i] = best;
+        }
+    }
+
+    // Follow the nearest attractor within range (the 'nearest' attraction mode)
+    attractNearest(i, surplus) {
+        const store = this.particles;
+        const x = store.position[i * 2];
+        const y = store.position[i * 2 + 1];
+
+        // Find the closest attractor among those in nearby cells
+        let closestDistSq = Infinity;
+        let closestAttractor = null;
+
+        const nearby = this.attractorGrid.query(x, y, this.attractionRadius, this.nearbyAttractors);
+        for (const attractor of nearby) {
+            const dx = attractor.x - x;
+            const dy = attractor.y - y;
+            const dSq = dx * dx + dy * dy;
+            // Only consider attractors within range
+            if (dSq < closestDistSq && dSq < this.attractionRadius * this.attractionRadius) {
+                closestDistSq = dSq;
+                closestAttractor = attractor;
+            }
+        }
+
+        // Apply attraction to closest attractor
+        if (closestAttractor) {
+            // Strength varies by distance - stronger when closer
+            const strength = map(Math.sqrt(closestDistSq), 0, this.attractionRadius, this.attractionStrength, this.attractionStrength * 0.2);
+            this.seek(i, closestAttractor.x, closestAttractor.y, strength);
+            store.attracted[i] = i >= surplus ? 1 : 0;
+            store.feature[i] = FACIAL_FEATURE_IDS[closestAttractor.feature] !== undefined
+                ? FACIAL_FEATURE_IDS[closestAttractor.feature]
+                : FACIAL_FEATURE_IDS.other;
+
+            // Take on the depth of the landmark it is drawn to
+            store.depth[i] += (this.attractorNearness(closestAttractor) - store.depth[i]) * 0.1;
+        }
+    }
+
+    // Move with the behaviour of the particle's own feature (the 'features' attraction mode)
+    attractByFeature(i, surplus, time) {
+        const store = this.particles;
+        const feature = FACIAL_FEATURES[store.feature[i]];
+        const region = this.featureRegions[feature];
+        const settings = this.featureBehaviours[feature];
+        const behaviour = settings && FEATURE_BEHAVIOURS[settings.behaviour];
+
+        // Features without points this frame (or without a behaviour) fall back to the nearest landmark
+        if (!region || !behaviour) {
+            this.attractNearest(i, surplus);
+            return;
+        }
+
+        behaviour(this, i, region, time);
+        store.attracted[i] = i >= surplus ? 1 : 0;
+        store.depth[i] += (this.attractorNearness(region.centroid) - store.depth[i]) * 0.1;
+    }
+
+    // Move to the particle's own slot (the 'assigned' attraction mode)
+    attractAssigned(i, surplus) {
+        if (i < surplus) return; // Over budget: left to fade out
+
+        const store = this.particles;
+        const assignment = this.assignment;
+        const s = store.target[i];
+
+        // Rounding can leave a few particles without a slot; they follow the nearest landmark
+        if (s < 0) {
+            this.attractNearest(i, surplus);
+            return;
+        }
+
+        this.arrive(i, assignment.slotX[s], assignment.slotY[s], 3);
+        store.attracted[i] = 1;
+        store.feature[i] = FACIAL_FEATURE_IDS[assignment.slots[s].feature];
+        store.depth[i] += (this.attractorNearness({ z: assignment.slotZ[s] }) - store.depth[i]) * 0.1;
+    }
+
+    // Hold the particle's own spot on the face surface ('cling'), or pull it
+    // there with an underdamped spring that overshoots and wobbles ('spring')
+    attractSurface(i, surplus) {
+        if (i < surplus) return; // Over budget: left to fade out
+
+        const store = this.particles;
+        const target = this.surface.pointFor(store.seed[i]);
+        if (this.surfaceInteraction === 'spring') {
+            const stiffness = 0.02;
+            const damping = 0.04;
+            store.acceleration[i * 2] += (target.x - store.position[i * 2]) * stiffness - store.velocity[i * 2] * damping;
+            store.acceleration[i * 2 + 1] += (target.y - store.position[i * 2 + 1]) * stiffness - store.velocity[i * 2 + 1] * damping;
+            store.distance[i] = Math.hypot(target.x - store.position[i * 2], target.y - store.position[i * 2 + 1]);
+        } else {
+            this.arrive(i, target.x, target.y, 3);
+        }
+        store.attracted[i] = 1;
+        store.depth[i] += (this.attractorNearness(target) - store.depth[i]) * 0.1;
+    }
+
+    // Break the face surface apart, throwing particles outwards from its centre
+    shatterSurface(strength = 6) {
+        if (!this.surface.hasTriangles()) return;
+        this.surface.shatter(millis() / 1000);
+
+        const { x, y } = this.surface.centroid;
+        const store = this.particles;
+        for (let i = 0; i < store.length; i++) {
+            const dx = store.position[i * 2] - x;
+            const dy = store.position[i * 2 + 1] - y;
+            const d = Math.sqrt(dx * dx + dy * dy) || 1;
+            const push = strength * random(0.5, 1.5);
+            store.velocity[i * 2] += dx / d * push;
+            store.velocity[i * 2 + 1] += dy / d * push;
+        }
+    }
+
+    // Colour particle i from the named palette by its state (see COLOR_MAPPINGS)
+    mapColor(i, time) {
+        const mapping = COLOR_MAPPINGS[this.colorMapping] || COLOR_MAPPINGS.random;
+        const color = paletteColor(this.colorPalette, mapping(this, i), time * this.colorCycle, this.mappedColor);
+        const store = this.particles;
+        store.color[i * 4] = color[0];
+        store.color[i * 4 + 1] = color[1];
+        store.color[i * 4 + 2] = color[2];
+    }
+
+    // Ease particle i towards the sampled colour of the nearest landmark (the 'video' colour mode)
+    tintFromAttractor(i) {
+        const store = this.particles;
+        const x = store.position[i * 2];
+        const y = store.position[i * 2 + 1];
+
+        let closestDistSq = Infinity;
+        let color = null;
+        for (const attractor of this.attractorGrid.query(x, y, this.attractionRadius, this.nearbyAttractors)) {
+            if (!attractor.color) continue;
+            const dSq = (attractor.x - x) * (attractor.x - x) + (attractor.y - y) * (attractor.y - y);
+            if (dSq < closestDistSq) {
+                closestDistSq = dSq;
+                color = attractor.color;
+            }
+        }
+        if (!color) return;
+
+        // Four frames' worth of easing, as each particle is tinted every fourth frame
+        const rate = 1 - Math.pow(1 - this.colorRate, 4);
+        for (let c = 0; c < 3; c++) {
+            store.color[i * 4 + c] += (color[c] - store.color[i * 4 + c]) * rate;
+        }
+    }
+
+    // Keep particle i out of the face (the 'negative' attraction mode). A share
+    // of the particles fills the holes; the rest steer along the silhouette
+    // when their path runs into it and are pushed back out if they get inside.
+    // Particles in the void's keeping live on like attracted ones.
+    avoidFace(i, surplus) {
+        const store = this.particles;
+        const pos = store.position;
+        const vel = store.velocity;
+        const obstacle = this.obstacle;
+        const x = pos[i * 2];
+        const y = pos[i * 2 + 1];
+
+        store.attracted[i] = i >= surplus ? 1 : 0;
+        store.feature[i] = FACIAL_FEATURE_IDS.other;
+        store.depth[i] += (0.5 - store.depth[i]) * 0.02;
+
+        // Hole duty: settle on a spot inside one of the holes, crossing the face to get there
+        const seed = store.seed[i];
+        if (obstacle.holes.length > 0 && seed < obstacle.holeShare) {
+            const hole = obstacle.holes[Math.min(Math.floor(seed / obstacle.holeShare * obstacle.holes.length), obstacle.holes.length - 1)];
+            let cx = 0, cy = 0;
+            for (const point of hole) {
+                cx += point.x;
+                cy += point.y;
+            }
+            cx /= hole.length;
+            cy /= hole.length;
+            const corner = hole[Math.floor(fract(seed * 31) * hole.length)];
+            const u = fract(seed * 7919) * 0.8;
+            this.arrive(i, cx + (corner.x - cx) * u, cy + (corner.y - cy) * u, 3);
+            return;
+        }
+
+        // Collision: slide back out of the face a few pixels a frame and lose the inward speed
+        if (obstacle.isSolid(x, y)) {
+            const edge = obstacle.closestEdge(x, y);
+            const d = edge.distance || 1;
+            const nx = (edge.x - x) / d;
+            const ny = (edge.y - y) / d;
+            const push = Math.min(edge.distance + 1, 6);
+            pos[i * 2] += nx * push;
+            pos[i * 2 + 1] += ny * push;
+            const inward = vel[i * 2] * nx + vel[i * 2 + 1] * ny;
+            if (inward < 0) {
+                vel[i * 2] -= inward * nx;
+                vel[i * 2 + 1] -= inward * ny;
             }
+            return;
+        }
+
+        // Steering: if the path ahead runs into the face, turn along its edge and slightly away
+        const aheadX = x + vel[i * 2] * obstacle.lookAhead;
+        const aheadY = y + vel[i * 2 + 1] * obstacle.lookAhead;
+        if (obstacle.isSolid(aheadX, aheadY)) {
+            const edge = obstacle.closestEdge(x, y);
+            const d = edge.distance || 1;
+            const nx = (x - edge.x) / d;
+            const ny = (y - edge.y) / d;
+            const side = vel[i * 2] * -ny + vel[i * 2 + 1] * nx >= 0 ? 1 : -1;
+            this.steer(i, -ny * side + nx * 0.5, nx * side + ny * 0.5, 3);
         }
     }
 
-    // Display all particles
-    display() {
-        for (let p of this.particles) {
-            p.display();
+    // Attractors of one facial feature (e.g. 'lips')
+    getAttractors(feature) {
+        return this.attractorsByFeature[feature] || [];
+    }
+
+    // Count particles per facial feature they are currently drawn to
+    countByFeature() {
+        const counts = {};
+        for (const name of FACIAL_FEATURES) {
+            counts[name] = 0;
         }
+        const store = this.particles;
+        for (let i = 0; i < store.length; i++) {
+            if (store.attracted[i]) {
+                counts[FACIAL_FEATURES[store.feature[i]]]++;
+            }
+        }
+        return counts;
+    }
+
+    // Particle indices ordered far to near, so nearer particles are drawn on top
+    sortByDepth() {
+        const order = this.drawOrder;
+        const depth = this.particles.depth;
+        order.length = this.particles.length;
+        for (let i = 0; i < order.length; i++) {
+            order[i] = i;
+        }
+        if (this.depthEffect > 0) {
+            order.sort((a, b) => depth[a] - depth[b]);
+        }
+        return order;
+    }
+
+    // Drawn diameter of particle i; nearer particles are larger
+    displaySize(i) {
+        const near = (this.particles.depth[i] - 0.5) * this.depthEffect;
+        return this.particles.size[i] * (1 + near * 1.2);
+    }
+
+    // Drawn opacity (0-255) of particle i: the palette alpha, faded by lifespan, brighter when near
+    displayAlpha(i) {
+        const store = this.particles;
+        const near = (store.depth[i] - 0.5) * this.depthEffect;
+        return min(255, store.lifespan[i] * store.color[i * 4 + 3] / 255 * (1 + near));
     }
-} 
\ No newline at end of file
+
+    // Display the face surface (if shown) and all particles with the current renderer (see particleRenderer.js)
+    display() {
+        this.surface.draw(this.surfaceStyle, this.palette, millis() / 1000);
+        getParticleRenderer(this.renderMode).draw(this);
+    }
+}
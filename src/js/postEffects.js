@@ -0,0 +1,239 @@
+// Post-processing for the swarm: an ordered, configurable stack of effects.
+// The main canvas is also the trail buffer (each frame fades it with a
+// translucent background), so effects run at one of three stages:
+// 'trail'     - transform the previous frames before they fade (feedback: zoom, rotate, tint)
+// 'particles' - change how the particles are composited while they draw (blend modes)
+// 'overlay'   - draw on a separate canvas over the main one, blended with
+//               CSS mix-blend-mode: screen and cleared every frame, so a glow
+//               does not feed back into the trails and bloom out
+// Effects run in stack order within each stage.
+//
+// An effect is { stage, defaults, apply(post, settings) }; register new ones
+// with registerPostEffect().
+
+const POST_EFFECTS = {};
+
+// Add (or replace) an effect by name
+function registerPostEffect(name, effect) {
+    POST_EFFECTS[name] = effect;
+}
+
+// Feedback on the trail buffer: each frame the previous image is zoomed and
+// rotated about the centre, moved, and tinted towards a colour
+registerPostEffect('feedback', {
+    stage: 'trail',
+    defaults: { zoom: 1.01, rotate: 0, driftX: 0, driftY: 0, tint: [0, 0, 0], tintAlpha: 0 },
+    apply(post, settings) {
+        const ctx = drawingContext;
+        const canvas = ctx.canvas;
+        const copy = post.buffer('feedback', canvas.width, canvas.height);
+        copy.context.clearRect(0, 0, canvas.width, canvas.height);
+        copy.context.drawImage(canvas, 0, 0);
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0); // Device pixels, whatever the pixel density
+        ctx.translate(canvas.width / 2 + settings.driftX * pixelDensity(), canvas.height / 2 + settings.driftY * pixelDensity());
+        ctx.rotate(settings.rotate);
+        ctx.scale(settings.zoom, settings.zoom);
+        ctx.drawImage(copy.canvas, -canvas.width / 2, -canvas.height / 2);
+        ctx.restore();
+
+        if (settings.tintAlpha > 0) {
+            push();
+            noStroke();
+            fill(...settings.tint, settings.tintAlpha);
+            rect(0, 0, width, height);
+            pop();
+        }
+    }
+});
+
+// Composite the particles with a canvas blend mode, e.g. 'lighter' (additive) or 'screen'
+registerPostEffect('blend', {
+    stage: 'particles',
+    defaults: { mode: 'lighter' },
+    apply(post, settings) {
+        drawingContext.globalCompositeOperation = settings.mode;
+    }
+});
+
+// Glow: a shrunk, blurred copy of the frame on the overlay. Blurring the
+// small copy keeps it cheap, and scaling it back up softens it further
+// (which is all the blur there is where the canvas filter is unsupported).
+registerPostEffect('glow', {
+    stage: 'overlay',
+    defaults: { scale: 0.25, blur: 3, intensity: 0.8 },
+    apply(post, settings) {
+        const source = drawingContext.canvas;
+        const w = Math.max(1, Math.round(source.width * settings.scale));
+        const h = Math.max(1, Math.round(source.height * settings.scale));
+        const small = post.buffer('glow', w, h);
+        small.context.clearRect(0, 0, w, h);
+        small.context.filter = `blur(${settings.blur}px)`;
+        small.context.drawImage(source, 0, 0, w, h);
+        small.context.filter = 'none';
+
+        const overlay = post.overlayContext;
+        overlay.save();
+        overlay.globalAlpha = settings.intensity;
+        overlay.globalCompositeOperation = 'lighter';
+        overlay.drawImage(small.canvas, 0, 0, post.overlay.width, post.overlay.height);
+        overlay.restore();
+    }
+});
+
+// Ready-made stacks, cycled with the E key
+const POST_EFFECT_STACKS = {
+    none: [],
+    glow: [
+        { effect: 'blend', settings: { mode: 'lighter' } },
+        { effect: 'glow' }
+    ],
+    smoke: [
+        { effect: 'feedback', settings: { zoom: 0.995, driftY: -1.5, tint: [20, 20, 28], tintAlpha: 6 } },
+        { effect: 'blend', settings: { mode: 'screen' } },
+        { effect: 'glow', settings: { blur: 6, intensity: 0.5 } }
+    ],
+    tunnel: [
+        { effect: 'feedback', settings: { zoom: 1.02, rotate: 0.01 } },
+        { effect: 'blend', settings: { mode: 'lighter' } }
+    ]
+};
+
+class PostProcessor {
+    constructor(parent = 'experience') {
+        this.parent = parent;
+        this.stack = [];          // [{ effect, settings, enabled }], in order
+        this.stackName = 'none';  // Last ready-made stack chosen, or 'custom'
+        this.buffers = {};        // Offscreen canvases reused between frames, by name
+        this.overlay = null;      // Canvas over the main one for the 'overlay' stage
+        this.overlayContext = null;
+    }
+
+    // Replace the stack with a list of { effect, settings } (settings fill in the effect's defaults)
+    setStack(entries, name = 'custom') {
+        this.stack = [];
+        for (const entry of entries) {
+            this.add(entry.effect, entry.settings);
+        }
+        this.stackName = name;
+    }
+
+    // Switch to the next ready-made stack
+    cycleStack() {
+        const names = Object.keys(POST_EFFECT_STACKS);
+        const name = names[(names.indexOf(this.stackName) + 1) % names.length];
+        this.setStack(POST_EFFECT_STACKS[name], name);
+    }
+
+    // Add an effect at an index (default: the end); returns its entry
+    add(effectName, settings = {}, index = this.stack.length) {
+        const effect = POST_EFFECTS[effectName];
+        if (!effect) {
+            throw new Error(`Unknown post effect: ${effectName}`);
+        }
+        const entry = { effect: effectName, settings: { ...effect.defaults, ...settings }, enabled: true };
+        this.stack.splice(index, 0, entry);
+        this.stackName = 'custom';
+        return entry;
+    }
+
+    // Remove the effect at an index
+    remove(index) {
+        this.stack.splice(index, 1);
+        this.stackName = 'custom';
+    }
+
+    // Move the effect at one index to another
+    move(from, to) {
+        const [entry] = this.stack.splice(from, 1);
+        this.stack.splice(to, 0, entry);
+        this.stackName = 'custom';
+    }
+
+    // Run the enabled effects of one stage in stack order
+    run(stage) {
+        for (const entry of this.stack) {
+            const effect = POST_EFFECTS[entry.effect];
+            if (entry.enabled && effect && effect.stage === stage) {
+                effect.apply(this, entry.settings);
+            }
+        }
+    }
+
+    // Whether any enabled effect runs at a stage
+    hasStage(stage) {
+        return this.stack.some(entry => entry.enabled && POST_EFFECTS[entry.effect] &&
+            POST_EFFECTS[entry.effect].stage === stage);
+    }
+
+    // An offscreen canvas of a given size, reused between frames
+    buffer(name, w, h) {
+        let buffer = this.buffers[name];
+        if (!buffer) {
+            const canvas = document.createElement('canvas');
+            buffer = { canvas, context: canvas.getContext('2d') };
+            this.buffers[name] = buffer;
+        }
+        if (buffer.canvas.width !== w || buffer.canvas.height !== h) {
+            buffer.canvas.width = w;
+            buffer.canvas.height = h;
+        }
+        return buffer;
+    }
+
+    // Before the trail fade: feedback on the previous frames
+    beforeFade() {
+        this.run('trail');
+    }
+
+    // Before the particles draw: set up their compositing
+    beginParticles() {
+        drawingContext.save();
+        this.run('particles');
+    }
+
+    // After the particles draw: restore compositing and redraw the overlay
+    endParticles() {
+        drawingContext.restore();
+        this.drawOverlay();
+    }
+
+    // Clear the overlay and run the overlay effects on it
+    drawOverlay() {
+        const needed = this.hasStage('overlay');
+        if (!needed && !this.overlay) return;
+        if (!this.overlay) {
+            this.createOverlay();
+        }
+
+        // Follow the main canvas's size and visibility
+        const source = drawingContext.canvas;
+        if (this.overlay.width !== source.width || this.overlay.height !== source.height) {
+            this.overlay.width = source.width;
+            this.overlay.height = source.height;
+        }
+        this.overlay.style.width = source.style.width;
+        this.overlay.style.height = source.style.height;
+        this.overlay.style.display = needed ? source.style.display : 'none';
+
+        this.overlayContext.clearRect(0, 0, this.overlay.width, this.overlay.height);
+        if (needed) {
+            this.run('overlay');
+        }
+    }
+
+    // Create the overlay canvas on top of the main one
+    createOverlay() {
+        this.overlay = document.createElement('canvas');
+        this.overlay.className = 'post-overlay';
+        this.overlayContext = this.overlay.getContext('2d');
+        document.getElementById(this.parent).appendChild(this.overlay);
+    }
+
+    // Short description for the debug panel
+    describe() {
+        const enabled = this.stack.filter(entry => entry.enabled).map(entry => entry.effect);
+        return `${this.stackName}${enabled.length > 0 ? ` (${enabled.join(' > ')})` : ''}`;
+    }
+}
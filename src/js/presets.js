@@ -0,0 +1,297 @@
+// Presets collect everything that gives the swarm its character (particle
+// count, speeds, boid weights, attraction, look and trails) in one validated
+// object. PresetManager switches between them with an animated cross-fade;
+// presets can be exported to and imported from JSON files.
+
+// Every preset field: its type, limits and default (the original look)
+const PRESET_SCHEMA = {
+    name: { type: 'string', default: 'Untitled' },
+    particleCount: { type: 'integer', min: 0, max: 10000, default: 600 },
+    maxSpeed: { type: 'number', min: 0.1, max: 20, default: 4 },
+    maxForce: { type: 'number', min: 0.001, max: 2, default: 0.1 },
+    separation: { type: 'number', min: 0, max: 10, default: 1.5 },
+    alignment: { type: 'number', min: 0, max: 10, default: 1.0 },
+    cohesion: { type: 'number', min: 0, max: 10, default: 1.0 },
+    attractionRadius: { type: 'number', min: 10, max: 1000, default: 150 },
+    attractionStrength: { type: 'number', min: 0, max: 10, default: 2.5 }, // At the landmark; a fifth of it at the edge of the radius
+    attractionMode: { type: 'enum', values: PARTICLE_ATTRACTION_MODES, default: 'features' },
+    size: { type: 'range', min: 0.5, max: 50, default: [3, 8] },
+    decay: { type: 'range', min: 0, max: 20, default: [0.5, 1.5] }, // Lifespan lost per frame while free (lifespan starts at 255)
+    palette: { type: 'palette', default: DEFAULT_PARTICLE_PALETTE }, // Ranges for r, g, b and a (opacity)
+    colorPalette: { type: 'enum', values: PALETTE_NAMES, default: 'none' }, // Named palette for r, g, b; 'none' uses the ranges above
+    colorMapping: { type: 'enum', values: COLOR_MAPPING_NAMES, default: 'random' }, // What picks each particle's place on the named palette
+    colorCycle: { type: 'number', min: -2, max: 2, default: 0 }, // Palette cycles per second
+    background: { type: 'color', default: [10, 10, 10] },
+    trailAlpha: { type: 'number', min: 1, max: 255, default: 20 } // Lower leaves longer trails
+};
+
+// Check one value against its schema entry; returns an error message or null
+function validatePresetField(name, spec, value) {
+    const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+    const isRange = (v, min, max) => Array.isArray(v) && v.length === 2 &&
+        isNumber(v[0]) && isNumber(v[1]) && v[0] <= v[1] && v[0] >= min && v[1] <= max;
+
+    switch (spec.type) {
+        case 'string':
+            return typeof value === 'string' && value.length > 0 ? null : `${name} must be a non-empty string`;
+        case 'integer':
+        case 'number':
+            if (!isNumber(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+                return `${name} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`;
+            }
+            return value >= spec.min && value <= spec.max ? null : `${name} must be between ${spec.min} and ${spec.max}`;
+        case 'enum':
+            return spec.values.includes(value) ? null : `${name} must be one of ${spec.values.join(', ')}`;
+        case 'range':
+            return isRange(value, spec.min, spec.max)
+                ? null
+                : `${name} must be [min, max] between ${spec.min} and ${spec.max}`;
+        case 'color':
+            return Array.isArray(value) && value.length === 3 && value.every(c => isNumber(c) && c >= 0 && c <= 255)
+                ? null
+                : `${name} must be [r, g, b] with values from 0 to 255`;
+        case 'palette':
+            if (!value || typeof value !== 'object') return `${name} must be an object with r, g, b and a ranges`;
+            for (const channel of ['r', 'g', 'b', 'a']) {
+                if (!isRange(value[channel], 0, 255)) {
+                    return `${name}.${channel} must be [min, max] between 0 and 255`;
+                }
+            }
+            return null;
+        default:
+            return `${name} has an unknown type`;
+    }
+}
+
+// Deep copy of a preset value (numbers, strings, arrays and plain objects)
+function copyPresetValue(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Validate a preset, filling in defaults for missing fields.
+// Returns { preset, errors }; the preset uses defaults wherever a field is invalid.
+function validatePreset(data) {
+    const errors = [];
+    const preset = {};
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { preset: createDefaultPreset(), errors: ['Preset must be a JSON object'] };
+    }
+
+    for (const name in PRESET_SCHEMA) {
+        const spec = PRESET_SCHEMA[name];
+        if (data[name] === undefined) {
+            preset[name] = copyPresetValue(spec.default);
+            continue;
+        }
+        const error = validatePresetField(name, spec, data[name]);
+        if (error) {
+            errors.push(error);
+            preset[name] = copyPresetValue(spec.default);
+        } else {
+            preset[name] = copyPresetValue(data[name]);
+        }
+    }
+
+    for (const name in data) {
+        if (!(name in PRESET_SCHEMA)) {
+            errors.push(`Unknown field: ${name}`);
+        }
+    }
+
+    return { preset, errors };
+}
+
+// A preset with every field at its default
+function createDefaultPreset() {
+    const preset = {};
+    for (const name in PRESET_SCHEMA) {
+        preset[name] = copyPresetValue(PRESET_SCHEMA[name].default);
+    }
+    return preset;
+}
+
+// Mix two presets; t = 0 gives a, t = 1 gives b
+function blendPresets(a, b, t) {
+    const lerpNumber = (x, y) => x + (y - x) * t;
+    const lerpArray = (x, y) => x.map((value, i) => lerpNumber(value, y[i]));
+    const preset = {};
+
+    for (const name in PRESET_SCHEMA) {
+        switch (PRESET_SCHEMA[name].type) {
+            case 'number':
+                preset[name] = lerpNumber(a[name], b[name]);
+                break;
+            case 'integer':
+                preset[name] = Math.round(lerpNumber(a[name], b[name]));
+                break;
+            case 'range':
+            case 'color':
+                preset[name] = lerpArray(a[name], b[name]);
+                break;
+            case 'palette':
+                preset[name] = {};
+                for (const channel of ['r', 'g', 'b', 'a']) {
+                    preset[name][channel] = lerpArray(a[name][channel], b[name][channel]);
+                }
+                break;
+            default:
+                // Strings and enums switch halfway through
+                preset[name] = t < 0.5 ? a[name] : b[name];
+        }
+    }
+    return preset;
+}
+
+// Presets that ship with the app, on number keys 1 to 6
+const BUILT_IN_PRESETS = [
+    { name: 'Classic' },
+    {
+        name: 'Murmuration',
+        particleCount: 900,
+        maxSpeed: 6,
+        maxForce: 0.15,
+        separation: 1.2,
+        alignment: 2.2,
+        cohesion: 1.4,
+        attractionRadius: 220,
+        attractionStrength: 1.8,
+        attractionMode: 'nearest',
+        size: [2, 4],
+        palette: { r: [190, 230], g: [200, 240], b: [220, 255], a: [120, 180] },
+        trailAlpha: 35
+    },
+    {
+        name: 'Mist',
+        particleCount: 400,
+        maxSpeed: 1.5,
+        maxForce: 0.04,
+        separation: 2.5,
+        alignment: 0.4,
+        cohesion: 0.6,
+        attractionRadius: 250,
+        attractionStrength: 1.5,
+        size: [8, 18],
+        decay: [0.2, 0.6],
+        palette: { r: [120, 180], g: [150, 200], b: [200, 255], a: [40, 90] },
+        background: [5, 8, 16],
+        trailAlpha: 8
+    },
+    {
+        name: 'Embers',
+        particleCount: 700,
+        maxSpeed: 3,
+        separation: 1.8,
+        alignment: 0.6,
+        cohesion: 0.8,
+        attractionStrength: 3,
+        size: [2, 5],
+        decay: [1, 2.5],
+        palette: { r: [220, 255], g: [80, 180], b: [20, 60], a: [170, 230] },
+        background: [12, 4, 2],
+        trailAlpha: 14
+    },
+    {
+        name: 'Portrait',
+        particleCount: 1200,
+        maxSpeed: 5,
+        maxForce: 0.2,
+        separation: 0.8,
+        alignment: 0.3,
+        cohesion: 0.3,
+        attractionMode: 'assigned',
+        size: [2, 4],
+        palette: { r: [230, 255], g: [230, 255], b: [230, 255], a: [200, 255] },
+        background: [0, 0, 0],
+        trailAlpha: 60
+    },
+    {
+        name: 'Aurora',
+        particleCount: 800,
+        maxSpeed: 3.5,
+        alignment: 1.4,
+        size: [2, 6],
+        colorPalette: 'Aurora',
+        colorMapping: 'speed',
+        colorCycle: 0.1,
+        background: [2, 6, 12],
+        trailAlpha: 18
+    }
+];
+
+// PresetManager holds the available presets and cross-fades between them
+class PresetManager {
+    constructor(presets = BUILT_IN_PRESETS) {
+        this.presets = presets.map(data => validatePreset(data).preset);
+        this.index = 0;
+        this.current = this.presets[0]; // The preset in effect this frame (blended during a fade)
+        this.from = null;
+        this.fadeStart = 0;
+        this.fadeDuration = 1500; // Milliseconds
+    }
+
+    // Switch to the preset at an index, fading unless fade is false; returns false if there is none
+    select(index, fade = true) {
+        if (index < 0 || index >= this.presets.length) return false;
+        this.from = fade ? this.current : null;
+        this.index = index;
+        this.fadeStart = performance.now();
+        return true;
+    }
+
+    // Swap the selected preset for an edited version, without a fade
+    replaceTarget(preset) {
+        this.presets[this.index] = preset;
+    }
+
+    // The preset being faded to (or shown)
+    getTarget() {
+        return this.presets[this.index];
+    }
+
+    // Advance the fade; returns the preset to use this frame
+    update(time = performance.now()) {
+        if (this.from) {
+            const t = constrain((time - this.fadeStart) / this.fadeDuration, 0, 1);
+            // Ease in and out
+            const eased = t * t * (3 - 2 * t);
+            this.current = t < 1 ? blendPresets(this.from, this.getTarget(), eased) : this.getTarget();
+            if (t >= 1) {
+                this.from = null;
+            }
+        } else {
+            this.current = this.getTarget();
+        }
+        return this.current;
+    }
+
+    // Add a preset (validated), or replace one with the same name; returns its index
+    add(data) {
+        const { preset, errors } = validatePreset(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid preset: ${errors.join('; ')}`);
+        }
+
+        const existing = this.presets.findIndex(p => p.name === preset.name);
+        if (existing >= 0) {
+            this.presets[existing] = preset;
+            return existing;
+        }
+        this.presets.push(preset);
+        return this.presets.length - 1;
+    }
+
+    // Download the selected preset as a JSON file
+    exportPreset() {
+        const preset = this.getTarget();
+        saveJSON(preset, `${preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.preset.json`);
+    }
+
+    // Read a preset from a JSON file, add it and fade to it
+    async importPreset(file) {
+        const data = JSON.parse(await file.text());
+        const index = this.add(data);
+        this.select(index);
+        return this.presets[index];
+    }
+}
@@ -1,13 +1,27 @@
 // Global variables
 let faceTracker;
-let particleSystem;
+let swarms; // SwarmManager: one particle swarm per tracked face
+let landmarkRecorder;
+let facialEvents; // EventBus for facial actions: blink, mouthOpen, mouthClose, browRaise, smile
+let viewport;
+let maxFaces = Number(new URLSearchParams(window.location.search).get('faces')) || 3; // Faces to track at once
+let presets; // PresetManager: swarm look and behaviour, on number keys
+let presetInput; // Hidden file input for importing presets
+let tuningPanel; // Live controls for the current preset
+let colorSampler; // Reads particle colours from the source frame in the 'video' colour mode
+let postEffects; // PostProcessor: blend modes, glow and trail feedback
+let imprint; // PortraitImprint: long-exposure portrait painted by the swarm
+let isHeadPoseDriving = true; // Head pose tilts the swarm's flow and shifts the trails
+let smoothingOptions = { mode: 'interpolate', minCutoff: 1.0, beta: 0.02 }; // Keypoint smoothing, kept across source changes
 let canvas;
 let isDebugMode = false; // Set to true to see face landmarks
 let isFaceTrackingAvailable = true; // Flag to track if face tracking is available
+let isFaceDetectionAvailable = true; // False when ml5 offers no usable face detector at all
 
 // Make functions available globally
 window.setupSketch = setupSketch;
 window.resetSketch = resetSketch;
+window.setLandmarkSource = setLandmarkSource;
 
 // P5.js setup function
 function setup() {
@@ -23,11 +37,22 @@ function setup() {
     ellipseMode(CENTER);
     
     // Initialize objects
-    particleSystem = new ParticleSystem(600);
-    faceTracker = new FaceTracker();
+    presets = new PresetManager();
+    swarms = new SwarmManager(presets.getTarget().particleCount);
+    landmarkRecorder = new LandmarkRecorder();
+    facialEvents = new EventBus();
+    setupFacialActionReactions();
+    viewport = new ViewportTransform();
+    colorSampler = new VideoColorSampler();
+    postEffects = new PostProcessor();
+    imprint = new PortraitImprint();
+    faceTracker = createFaceTracker(getInitialLandmarkSource());
     
     // Create debug toggle for testing
     createDebugToggle();
+    createSourceControls();
+    createPresetControls();
+    createTuningPanel();
 
     // Log ml5 version for debugging
     console.log("ml5 version:", ml5.version || "unknown");
@@ -41,6 +66,7 @@ function checkMl5Features() {
     if (!ml5) {
         console.error("ml5.js is not loaded correctly");
         isFaceTrackingAvailable = false;
+        isFaceDetectionAvailable = false;
         emitFaceTrackingError("ml5.js is not loaded correctly");
         return;
     }
@@ -52,6 +78,7 @@ function checkMl5Features() {
         console.warn("Face tracking functionality not found in ml5.js");
         console.log("Will run in fallback mode without face tracking");
         isFaceTrackingAvailable = false;
+        isFaceDetectionAvailable = false;
         emitFaceTrackingError("Face tracking functionality not found in ml5.js", true);
     }
 }
@@ -70,19 +97,56 @@ function emitFaceTrackingError(message, fallbackActive = false) {
 
 // P5.js draw loop
 function draw() {
+    // Shift the previous frames with the head pose before fading them, for parallax trails
+    if (isHeadPoseDriving && isFaceTrackingAvailable && faceTracker && faceTracker.isTrackerReady()) {
+        applyTrailParallax(faceTracker.getHeadPose());
+    }
+    postEffects.beforeFade();
+    
+    // Fade between presets and apply the current one
+    const preset = presets.update();
+    swarms.applyPreset(preset);
+    if (tuningPanel && tuningPanel.isOpen) {
+        tuningPanel.sync();
+    }
+    
     // Clear the background
-    background(10, 10, 10, 20); // Low alpha for trail effect
+    background(...preset.background, preset.trailAlpha); // Low alpha for trail effect
+    
+    // The long-exposure portrait sits under the live swarm
+    imprint.update();
+    imprint.draw();
     
     if (isFaceTrackingAvailable) {
         // Only proceed if the face tracker is ready
         if (faceTracker && faceTracker.isTrackerReady()) {
-            // Get facial landmarks for particle attraction
-            const keypoints = faceTracker.getKeypoints();
+            // The full mesh is only needed while the face surface is shown or held on to
+            faceTracker.withMesh = swarms.surfaceStyle !== 'off' || swarms.surfaceInteraction !== 'none';
+            faceTracker.update();
+            
+            // Get facial landmarks for particle attraction, mapped from source pixels to the canvas
+            const sourceSize = faceTracker.getSourceSize();
+            viewport.update(sourceSize.width, sourceSize.height, width, height);
+            const sourceFaces = faceTracker.getFaces();
+            const faces = sourceFaces.map(face => ({
+                id: face.id,
+                keypoints: viewport.mapPoints(face.keypoints),
+                mesh: viewport.mapPoints(face.mesh)
+            }));
+            
+            // Tag the landmarks with the colours under them for the video colour mode
+            if (swarms.colorMode === 'video' &&
+                colorSampler.update(faceTracker.getVideo(), sourceSize.width, sourceSize.height)) {
+                faces.forEach((face, f) => colorSampler.colorPoints(sourceFaces[f].keypoints, face.keypoints));
+            }
+            const keypoints = faces.length > 0 ? faces[0].keypoints : [];
             
-            // Update particle system with face landmarks
-            particleSystem.setAttractors(keypoints);
-            particleSystem.update();
-            particleSystem.display();
+            // Update each face's swarm with its landmarks
+            swarms.sync(faces);
+            applyContinuousFacialActions(faceTracker.getFaces());
+            applyHeadPoseFlow(faceTracker.getFaces());
+            swarms.update();
+            displaySwarms();
             
             // Debug mode: show video and facial landmarks
             if (isDebugMode) {
@@ -94,19 +158,25 @@ function draw() {
                 pop();
                 
                 push();
-                // Draw mirrored video in corner
-                translate(width, 0);
-                scale(-1, 1);
+                // Draw video in corner, mirrored the same way as the main canvas
                 const vw = 160;
-                const vh = vw * (faceTracker.getVideo().height / faceTracker.getVideo().width);
-                image(faceTracker.getVideo(), 0, 0, vw, vh);
+                if (viewport.mirror) {
+                    translate(width, 0);
+                    scale(-1, 1);
+                } else {
+                    translate(width - vw, 0);
+                }
+                const vh = sourceSize.width > 0 ? vw * (sourceSize.height / sourceSize.width) : vw * 0.75;
+                if (faceTracker.getVideo()) {
+                    image(faceTracker.getVideo(), 0, 0, vw, vh);
+                }
                 
                 // Draw landmarks
                 const landmarks = faceTracker.getLandmarks();
                 if (landmarks.length > 0) {
                     // Scale landmarks to fit the debug view
-                    const scaleX = vw / faceTracker.getVideo().width;
-                    const scaleY = vh / faceTracker.getVideo().height;
+                    const scaleX = vw / sourceSize.width;
+                    const scaleY = vh / sourceSize.height;
                     
                     fill(0, 255, 0);
                     noStroke();
@@ -131,16 +201,63 @@ function draw() {
                 fill(255);
                 textSize(14);
                 textAlign(LEFT, TOP);
-                text(`ml5.js version: ${ml5.version || "unknown"}`, 10, vh + 10);
-                text(`Face tracking method: ${getFaceTrackingMethod()}`, 10, vh + 30);
-                text(`Landmarks detected: ${landmarks ? landmarks.length : 0}`, 10, vh + 50);
-                text(`Keypoints for particles: ${keypoints ? keypoints.length : 0}`, 10, vh + 70);
+                const info = [
+                    `ml5.js version: ${ml5.version || "unknown"}`,
+                    `Face tracking method: ${getFaceTrackingMethod()}`,
+                    `Faces tracked: ${faces.length} (max ${maxFaces})`,
+                    `Landmarks detected: ${landmarks ? landmarks.length : 0}`,
+                    `Keypoints for particles: ${keypoints ? keypoints.length : 0}`,
+                    `Source: ${faceTracker.getSource() ? faceTracker.getSource().name : "none"}`,
+                    `Smoothing: ${smoothingOptions.mode} (S to switch)`,
+                    `Preset: ${presets.getTarget().name} (1-${presets.presets.length} to switch)`,
+                    `Attraction: ${swarms.attractionMode} (B to switch), holes ${swarms.holeMode} (J)`,
+                    `Renderer: ${swarms.renderMode} (G to switch), ${nf(frameRate(), 2, 0)} fps`,
+                    `Mesh: ${swarms.surfaceStyle} (M), particles ${swarms.surfaceInteraction} (N), X to shatter`,
+                    `Colours: ${swarms.colorMode} (C to switch)`,
+                    `Effects: ${postEffects.describe()} (E to switch)`,
+                    `Emitters: ${swarms.emitterSet} (L to switch)`,
+                    `Forces: ${swarms.forceSet}${swarms.forces.length > 0 ? ` (${swarms.forces.map(force => force.field).join(', ')})` : ''} (K to switch)`,
+                    `Imprint: ${imprint.describe()} (I, U freeze, Y fade, Shift+I save)`
+                ];
+                const primaryFace = faceTracker.getFaces()[0];
+                if (primaryFace && primaryFace.actions.anchors) {
+                    const signals = primaryFace.actions.signals;
+                    info.push(`Eyes ${signals.eyeOpenness.toFixed(2)}  Mouth ${signals.mouthOpenness.toFixed(2)}`);
+                    info.push(`Brows ${signals.browHeight.toFixed(2)}  Smile ${signals.smile.toFixed(2)}`);
+                }
+                if (primaryFace) {
+                    const pose = primaryFace.pose;
+                    info.push(`Yaw ${degrees(pose.yaw).toFixed(0)}°  Pitch ${degrees(pose.pitch).toFixed(0)}°  Roll ${degrees(pose.roll).toFixed(0)}°`);
+                }
+                const featureCounts = Object.entries(swarms.primary.countByFeature())
+                    .filter(([, count]) => count > 0)
+                    .map(([feature, count]) => `${FEATURE_INDICATORS[feature].label} ${count}`);
+                if (featureCounts.length > 0) {
+                    info.push(`Attracted: ${featureCounts.join(', ')}`);
+                }
+                if (faceTracker.isReplaying) {
+                    info.push(`Replay timing: ${faceTracker.getSource().mode} (T to switch)`);
+                }
+                info.forEach((line, i) => text(line, 10, vh + 10 + i * 20));
+                text(`Viewport: ${viewport.describe()}`, 10, vh + 10 + info.length * 20, 230);
+                pop();
+                
+                // Outline where the source frame lands on the canvas
+                push();
+                viewport.applyToCanvas();
+                noFill();
+                stroke(0, 255, 0, 80);
+                strokeWeight(1 / (viewport.scaleX * viewport.calibration.scale));
+                rect(0, 0, viewport.sourceWidth, viewport.sourceHeight);
                 pop();
                 
                 // Draw facial feature indicators on main canvas
                 drawFacialFeatureIndicators(keypoints);
             }
         }
+        
+        drawRecordingIndicator();
+        drawImprintIndicator();
     } else {
         // Fallback mode: just show particles with random movement
         runFallbackMode();
@@ -156,12 +273,179 @@ function draw() {
             pop();
         }
     }
+    
+    drawPresetLabel();
+}
+
+// Draw the swarms through the post-processing stack (see postEffects.js),
+// after letting the particles that reached their landmarks expose the imprint
+function displaySwarms() {
+    if (imprint.isEnabled) {
+        swarms.forEach(swarm => imprint.collect(swarm));
+    }
+    postEffects.beginParticles();
+    swarms.display();
+    postEffects.endParticles();
+}
+
+// Map a direction at a source-space point onto the canvas
+function mapDirection(point, direction) {
+    const from = viewport.mapPoint(point.x, point.y);
+    const to = viewport.mapPoint(point.x + direction.x * 10, point.y + direction.y * 10);
+    const length = dist(from.x, from.y, to.x, to.y) || 1;
+    return { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+}
+
+// Show the name of the preset being faded to
+function drawPresetLabel() {
+    if (!presets.from) return;
+    
+    const t = constrain((performance.now() - presets.fadeStart) / presets.fadeDuration, 0, 1);
+    push();
+    noStroke();
+    fill(255, 255 * sin(t * PI));
+    textSize(20);
+    textAlign(CENTER, BOTTOM);
+    text(presets.getTarget().name, width / 2, height - 30);
+    pop();
+}
+
+// Make the swarms react to discrete facial action events
+function setupFacialActionReactions() {
+    // Blink: burst of particles away from each eye
+    facialEvents.on('blink', event => {
+        const swarm = swarms.getSwarmForFace(event.faceId);
+        if (!swarm) return;
+        for (const eye of [event.anchors.leftEye, event.anchors.rightEye]) {
+            const p = viewport.mapPoint(eye.x, eye.y);
+            swarm.burst(p.x, p.y, 80, 3);
+        }
+    });
+    
+    // Eyebrow raise: a wider, gentler burst above the eyes
+    facialEvents.on('browRaise', event => {
+        const swarm = swarms.getSwarmForFace(event.faceId);
+        if (!swarm) return;
+        for (const brow of [event.anchors.leftBrow, event.anchors.rightBrow]) {
+            const p = viewport.mapPoint(brow.x, brow.y);
+            swarm.burst(p.x, p.y, 140, 2);
+        }
+    });
+    
+    // Open mouth: a burst from any emitters on the lips
+    facialEvents.on('mouthOpen', event => {
+        const swarm = swarms.getSwarmForFace(event.faceId);
+        if (swarm) {
+            swarm.triggerEmitters('lips', 40);
+        }
+    });
+    
+    // Smile: sparks thrown out from the mouth corners
+    facialEvents.on('smile', event => {
+        const swarm = swarms.getSwarmForFace(event.faceId);
+        if (!swarm) return;
+        const { mouth, mouthLeft, mouthRight } = event.anchors;
+        for (const corner of [mouthLeft, mouthRight]) {
+            const p = viewport.mapPoint(corner.x, corner.y);
+            const dir = mapDirection(corner, { x: corner.x - mouth.x, y: corner.y - mouth.y });
+            swarm.emitStream(p.x, p.y, dir.x, dir.y, 15, 0.6, 3);
+        }
+    });
+}
+
+// Apply facial actions that last while they are held (open mouth outflow)
+function applyContinuousFacialActions(faces) {
+    for (const face of faces) {
+        const swarm = swarms.getSwarmForFace(face.id);
+        if (!swarm) continue;
+        
+        // An open mouth can be a hole in the negative-space void
+        swarm.isMouthOpen = Boolean(face.actions.anchors && face.actions.getStates().mouthOpen);
+        if (!swarm.isMouthOpen) continue;
+        
+        // Stream particles out of the mouth, down the face
+        const { mouth, down } = face.actions.anchors;
+        const p = viewport.mapPoint(mouth.x, mouth.y);
+        const dir = mapDirection(mouth, down);
+        swarm.emitStream(p.x, p.y, dir.x, dir.y, 3, 0.4, 2 + 6 * face.actions.signals.mouthOpenness);
+    }
+}
+
+// Head pose direction on the canvas: where the face is pointing, as a vector up to length 1
+function getHeadPoseDirection(pose) {
+    if (!pose) return { x: 0, y: 0 };
+    return viewport.mapVector(sin(pose.yaw), -sin(pose.pitch));
+}
+
+// Tilt each swarm's flow towards where its face is pointing
+function applyHeadPoseFlow(faces) {
+    for (const face of faces) {
+        const swarm = swarms.getSwarmForFace(face.id);
+        if (!swarm) continue;
+        
+        if (isHeadPoseDriving) {
+            const direction = getHeadPoseDirection(face.pose);
+            swarm.setFlow(direction.x * 2, direction.y * 2);
+        } else {
+            swarm.setFlow(0, 0);
+        }
+    }
+}
+
+// Redraw the previous frame slightly shifted along the head pose, so trails drift with parallax
+function applyTrailParallax(pose) {
+    const direction = getHeadPoseDirection(pose);
+    const dx = direction.x * 6;
+    const dy = direction.y * 6;
+    if (abs(dx) < 0.1 && abs(dy) < 0.1) return;
+    
+    const ctx = drawingContext;
+    ctx.drawImage(ctx.canvas, 0, 0, ctx.canvas.width, ctx.canvas.height, dx, dy, width, height);
+}
+
+// Show a red dot while landmarks are being recorded
+function drawRecordingIndicator() {
+    if (!landmarkRecorder || !landmarkRecorder.isRecording) return;
+    
+    push();
+    noStroke();
+    fill(255, 0, 0, 150 + 100 * sin(millis() / 200));
+    ellipse(width - 30, 30, 16, 16);
+    fill(255);
+    textSize(12);
+    textAlign(RIGHT, CENTER);
+    text(`REC ${landmarkRecorder.frames.length}`, width - 45, 30);
+    pop();
+}
+
+// Show the imprint's exposure time while it is on
+function drawImprintIndicator() {
+    if (!imprint.isEnabled) return;
+    
+    push();
+    noStroke();
+    fill(255, imprint.isFrozen ? 120 : 200);
+    textSize(12);
+    textAlign(RIGHT, CENTER);
+    text(`IMPRINT ${imprint.describe()}`, width - 20, 55);
+    pop();
+}
+
+// Start recording landmarks, or stop and download the recording
+function toggleRecording(format = 'json') {
+    if (landmarkRecorder.isRecording) {
+        landmarkRecorder.stop();
+        landmarkRecorder.download(format);
+    } else {
+        landmarkRecorder.start(faceTracker ? faceTracker.getSourceSize() : undefined);
+    }
 }
 
 // Helper function to get current face tracking method
 function getFaceTrackingMethod() {
     if (!faceTracker) return "None";
     
+    if (faceTracker.isReplaying) return "Replay";
     if (faceTracker.useFaceMeshApi) return "FaceMesh";
     if (faceTracker.usePoseNetApi) return "PoseNet";
     if (faceTracker.useFaceApiApi) return "FaceAPI";
@@ -170,53 +454,34 @@ function getFaceTrackingMethod() {
     return "Unknown";
 }
 
+// Colour and label of each facial feature in the debug overlay
+const FEATURE_INDICATORS = {
+    leftEye: { color: [0, 255, 255], label: "Left Eye" },
+    rightEye: { color: [0, 255, 255], label: "Right Eye" },
+    lips: { color: [255, 0, 255], label: "Lips" },
+    nose: { color: [255, 255, 0], label: "Nose" },
+    faceContour: { color: [0, 255, 0], label: "Face" },
+    leftEyebrow: { color: [255, 128, 0], label: "L. Brow" },
+    rightEyebrow: { color: [255, 128, 0], label: "R. Brow" },
+    other: { color: [128, 128, 128], label: "Other" }
+};
+
 // Draw indicators for different facial features
 function drawFacialFeatureIndicators(keypoints) {
     if (!keypoints || keypoints.length === 0) return;
     
-    // Group keypoints by facial feature (approximately)
-    const features = categorizeFacialKeypoints(keypoints);
+    // Keypoints are tagged with their feature by the tracker
+    const features = groupByFeature(keypoints);
     
     push();
     textAlign(CENTER, CENTER);
     textSize(12);
     
-    // Draw eye indicators
-    if (features.leftEye.length > 0) {
-        drawFeatureIndicator(features.leftEye, color(0, 255, 255), "Left Eye");
-    }
-    
-    if (features.rightEye.length > 0) {
-        drawFeatureIndicator(features.rightEye, color(0, 255, 255), "Right Eye");
-    }
-    
-    // Draw mouth indicator
-    if (features.mouth.length > 0) {
-        drawFeatureIndicator(features.mouth, color(255, 0, 255), "Mouth");
-    }
-    
-    // Draw nose indicator
-    if (features.nose.length > 0) {
-        drawFeatureIndicator(features.nose, color(255, 255, 0), "Nose");
-    }
-    
-    // Draw face contour indicator
-    if (features.faceContour.length > 0) {
-        drawFeatureIndicator(features.faceContour, color(0, 255, 0), "Face");
-    }
-    
-    // Draw eyebrow indicators
-    if (features.leftEyebrow.length > 0) {
-        drawFeatureIndicator(features.leftEyebrow, color(255, 128, 0), "L. Brow");
-    }
-    
-    if (features.rightEyebrow.length > 0) {
-        drawFeatureIndicator(features.rightEyebrow, color(255, 128, 0), "R. Brow");
-    }
-    
-    // Draw other keypoints
-    if (features.other.length > 0) {
-        drawFeatureIndicator(features.other, color(128, 128, 128), "Other");
+    for (const name of FACIAL_FEATURES) {
+        if (features[name].length > 0) {
+            const indicator = FEATURE_INDICATORS[name];
+            drawFeatureIndicator(features[name], color(...indicator.color), indicator.label);
+        }
     }
     
     pop();
@@ -270,164 +535,10 @@ function drawFeatureIndicator(points, featureColor, label) {
     text(label, centerX, centerY - 15);
 }
 
-// Categorize keypoints into facial features
-function categorizeFacialKeypoints(keypoints) {
-    // Initialize feature categories
-    const features = {
-        leftEye: [],
-        rightEye: [],
-        nose: [],
-        mouth: [],
-        leftEyebrow: [],
-        rightEyebrow: [],
-        faceContour: [],
-        other: []
-    };
-    
-    if (!keypoints || keypoints.length === 0) return features;
-    
-    // If few keypoints, use position-based categorization
-    if (keypoints.length < 20) {
-        return categorizeByPosition(keypoints);
-    }
-    
-    // For more keypoints, try to use known patterns
-    
-    // Calculate face center and bounds
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
-    let centerX = 0, centerY = 0;
-    
-    for (const point of keypoints) {
-        centerX += point.x;
-        centerY += point.y;
-        minX = min(minX, point.x);
-        maxX = max(maxX, point.x);
-        minY = min(minY, point.y);
-        maxY = max(maxY, point.y);
-    }
-    
-    centerX /= keypoints.length;
-    centerY /= keypoints.length;
-    
-    const faceWidth = maxX - minX;
-    const faceHeight = maxY - minY;
-    
-    // Categorize each keypoint based on its position relative to the face center
-    for (const point of keypoints) {
-        // Normalize position relative to face center
-        const relX = (point.x - centerX) / faceWidth;
-        const relY = (point.y - centerY) / faceHeight;
-        
-        // Left eye: upper left quadrant
-        if (relX < -0.15 && relY < -0.1 && relY > -0.4) {
-            features.leftEye.push(point);
-        }
-        // Right eye: upper right quadrant
-        else if (relX > 0.15 && relY < -0.1 && relY > -0.4) {
-            features.rightEye.push(point);
-        }
-        // Nose: center
-        else if (abs(relX) < 0.15 && abs(relY) < 0.15) {
-            features.nose.push(point);
-        }
-        // Mouth: lower center
-        else if (abs(relX) < 0.25 && relY > 0.15 && relY < 0.4) {
-            features.mouth.push(point);
-        }
-        // Left eyebrow: far upper left
-        else if (relX < -0.15 && relY < -0.3) {
-            features.leftEyebrow.push(point);
-        }
-        // Right eyebrow: far upper right
-        else if (relX > 0.15 && relY < -0.3) {
-            features.rightEyebrow.push(point);
-        }
-        // Face contour: outer points
-        else if (abs(relX) > 0.35 || abs(relY) > 0.4) {
-            features.faceContour.push(point);
-        }
-        // Other: anything not categorized
-        else {
-            features.other.push(point);
-        }
-    }
-    
-    return features;
-}
-
-// Categorize keypoints based on position when we have few points
-function categorizeByPosition(keypoints) {
-    // Initialize feature categories
-    const features = {
-        leftEye: [],
-        rightEye: [],
-        nose: [],
-        mouth: [],
-        leftEyebrow: [],
-        rightEyebrow: [],
-        faceContour: [],
-        other: []
-    };
-    
-    // For fallback or limited points, use simpler categorization
-    // Calculate center and dimensions
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
-    let centerX = 0, centerY = 0;
-    
-    for (const point of keypoints) {
-        centerX += point.x;
-        centerY += point.y;
-        minX = min(minX, point.x);
-        maxX = max(maxX, point.x);
-        minY = min(minY, point.y);
-        maxY = max(maxY, point.y);
-    }
-    
-    centerX /= keypoints.length;
-    centerY /= keypoints.length;
-    
-    // Sort points by distance from center
-    const sortedByDistance = [...keypoints].sort((a, b) => {
-        const distA = dist(a.x, a.y, centerX, centerY);
-        const distB = dist(b.x, b.y, centerX, centerY);
-        return distA - distB;
-    });
-    
-    // Center point is nose
-    if (sortedByDistance.length > 0) {
-        features.nose.push(sortedByDistance[0]);
-    }
-    
-    // Find eyes by looking for points in upper quadrants
-    for (const point of keypoints) {
-        const relX = point.x - centerX;
-        const relY = point.y - centerY;
-        
-        // Left eye
-        if (relX < 0 && relY < 0) {
-            features.leftEye.push(point);
-        }
-        // Right eye
-        else if (relX > 0 && relY < 0) {
-            features.rightEye.push(point);
-        }
-        // Mouth
-        else if (abs(relX) < (maxX - minX) * 0.3 && relY > 0) {
-            features.mouth.push(point);
-        }
-        // Face contour - outermost points
-        else if (point.x === minX || point.x === maxX || point.y === minY || point.y === maxY) {
-            features.faceContour.push(point);
-        }
-    }
-    
-    return features;
-}
-
 // Fallback mode when face tracking is not available
 function runFallbackMode() {
+    const particleSystem = swarms.primary;
+    
     // Create some circular attractors in a face-like pattern if no attractors exist
     if (!particleSystem.attractors || particleSystem.attractors.length === 0) {
         const centerX = width / 2;
@@ -461,8 +572,8 @@ function runFallbackMode() {
     }
     
     // Update and display particles
-    particleSystem.update();
-    particleSystem.display();
+    swarms.update();
+    displaySwarms();
     
     // Slowly move attractors for animation
     if (particleSystem.attractors && particleSystem.attractors.length > 0) {
@@ -487,19 +598,133 @@ function createDebugToggle() {
     debugButton.style('z-index', '100');
 }
 
+// Create buttons for switching the landmark source at runtime
+function createSourceControls() {
+    // Hidden file input, opened by the button below
+    const fileInput = createFileInput(file => {
+        try {
+            setLandmarkSource(createLandmarkSourceFor(file.file));
+        } catch (err) {
+            console.error("Error loading landmark source:", err);
+            emitFaceTrackingError(err.message, !isFaceTrackingAvailable);
+        }
+    });
+    fileInput.attribute('accept', 'video/*,image/*,.json,.ndjson');
+    fileInput.parent('experience');
+    fileInput.hide();
+    
+    const fileButton = createButton('Load File');
+    fileButton.position(240, 10);
+    fileButton.mousePressed(() => fileInput.elt.click());
+    fileButton.parent('experience');
+    fileButton.style('opacity', '0.6');
+    fileButton.style('z-index', '100');
+    
+    const webcamButton = createButton('Use Webcam');
+    webcamButton.position(370, 10);
+    webcamButton.mousePressed(() => setLandmarkSource(new WebcamSource()));
+    webcamButton.parent('experience');
+    webcamButton.style('opacity', '0.6');
+    webcamButton.style('z-index', '100');
+}
+
+// Create the tuning panel and its button, next to the Debug Mode button
+function createTuningPanel() {
+    tuningPanel = new TuningPanel(presets);
+    tuningPanel.load();
+    
+    const tuneButton = createButton('Tune');
+    tuneButton.position(150, 10);
+    tuneButton.mousePressed(() => {
+        tuningPanel.toggle();
+        tuneButton.html(tuningPanel.isOpen ? 'Hide Tuning' : 'Tune');
+    });
+    tuneButton.parent('experience');
+    tuneButton.style('opacity', '0.6');
+    tuneButton.style('z-index', '100');
+}
+
+// Hidden file input for importing presets (opened with Shift+P)
+function createPresetControls() {
+    presetInput = createFileInput(async file => {
+        try {
+            const preset = await presets.importPreset(file.file);
+            console.log(`Imported preset "${preset.name}"`);
+            tuningPanel.showMessage(`Imported preset "${preset.name}"`);
+        } catch (err) {
+            console.error("Error importing preset:", err);
+            tuningPanel.showMessage(`Could not import ${file.name}: ${err.message}`, true);
+        }
+    });
+    presetInput.attribute('accept', '.json,application/json');
+    presetInput.parent('experience');
+    presetInput.hide();
+}
+
+// Pick the starting source: a clip or image named by ?source=... (for installations), else the webcam
+function getInitialLandmarkSource() {
+    const sourceUrl = new URLSearchParams(window.location.search).get('source');
+    if (sourceUrl) {
+        try {
+            return createLandmarkSourceFor(sourceUrl);
+        } catch (err) {
+            console.warn("Ignoring source parameter:", err.message);
+        }
+    }
+    return new WebcamSource();
+}
+
+// Create a face tracker for a source, with the landmark recorder attached
+function createFaceTracker(source) {
+    const tracker = new FaceTracker(source, {
+        smoothing: smoothingOptions,
+        maxFaces: maxFaces,
+        actionBus: facialEvents
+    });
+    tracker.setRecorder(landmarkRecorder);
+    return tracker;
+}
+
+// Start face tracking on the current tracker
+function startFaceTracker() {
+    const tracker = faceTracker;
+    tracker.setup().catch(err => {
+        // A tracker that was swapped out while starting no longer matters
+        if (tracker.isDisposed) return;
+        console.error('Error setting up face tracker:', err);
+        console.log('Switching to fallback mode');
+        isFaceTrackingAvailable = false;
+        emitFaceTrackingError(err.message, true);
+    });
+}
+
+// Swap the landmark source (webcam, video file, image) without reloading the page
+function setLandmarkSource(source) {
+    // Recorded timelines bring their own landmarks and need no detector
+    if (!isFaceDetectionAvailable && !source.providesLandmarks) {
+        source.dispose();
+        emitFaceTrackingError("Face tracking is not available, so the source cannot be changed", true);
+        return;
+    }
+    
+    if (faceTracker) {
+        faceTracker.dispose();
+    }
+    
+    faceTracker = createFaceTracker(source);
+    isFaceTrackingAvailable = true;
+    startFaceTracker();
+}
+
 // Setup function called from app.js
 function setupSketch() {
     // Show the canvas
     canvas.style('display', 'block');
     
-    // Initialize face tracking if available
-    if (isFaceTrackingAvailable) {
-        faceTracker.setup().catch(err => {
-            console.error('Error setting up face tracker:', err);
-            console.log('Switching to fallback mode');
-            isFaceTrackingAvailable = false;
-            emitFaceTrackingError(err.message, true);
-        });
+    // Initialize face tracking if available; a replay (?source=...json) runs without a detector
+    if (isFaceTrackingAvailable || (faceTracker && faceTracker.source.providesLandmarks)) {
+        isFaceTrackingAvailable = true;
+        startFaceTracker();
     }
 }
 
@@ -515,22 +740,175 @@ function resetSketch() {
     }
     
     // Create fresh objects
-    particleSystem = new ParticleSystem(600);
+    swarms = new SwarmManager(presets.getTarget().particleCount);
+    imprint.clear();
     
-    if (isFaceTrackingAvailable) {
-        faceTracker = new FaceTracker();
+    const source = getInitialLandmarkSource();
+    if (isFaceTrackingAvailable || source.providesLandmarks) {
+        faceTracker = createFaceTracker(source);
     }
 }
 
 // Handle window resize
 function windowResized() {
     resizeCanvas(windowWidth, windowHeight);
+    imprint.resize(windowWidth, windowHeight);
+}
+
+// Input types that take typed text
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', 'number'];
+
+// Whether the focused element takes typed text
+function isTypingInField() {
+    const focused = document.activeElement;
+    if (!focused) return false;
+    if (focused.tagName === 'TEXTAREA' || focused.isContentEditable) return true;
+    return focused.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(focused.type);
 }
 
 // Handle keyboard shortcuts for testing
 function keyPressed() {
+    // Leave keys alone while typing in a text field; sliders, pickers and menus
+    // (e.g. in the tuning panel) keep focus after use and must not swallow shortcuts
+    if (isTypingInField()) {
+        return;
+    }
+    
     // Toggle debug mode with D key
     if (key === 'd' || key === 'D') {
         isDebugMode = !isDebugMode;
     }
+    
+    // Switch back to the webcam with W key
+    if (key === 'w' || key === 'W') {
+        setLandmarkSource(new WebcamSource());
+    }
+    
+    // Viewport: V cycles contain/cover/stretch, F toggles mirroring, O rotates 90°
+    if (key === 'v' || key === 'V') {
+        viewport.cycleMode();
+    }
+    if (key === 'f' || key === 'F') {
+        viewport.toggleMirror();
+    }
+    if (key === 'o' || key === 'O') {
+        viewport.rotateBy(90);
+    }
+    
+    // Viewport calibration: arrow keys move (Shift for fine steps), +/- scale, 0 resets
+    const step = keyIsDown(SHIFT) ? 1 : 10;
+    if (keyCode === LEFT_ARROW) viewport.nudge(-step, 0);
+    if (keyCode === RIGHT_ARROW) viewport.nudge(step, 0);
+    if (keyCode === UP_ARROW) viewport.nudge(0, -step);
+    if (keyCode === DOWN_ARROW) viewport.nudge(0, step);
+    if (key === '+' || key === '=') viewport.zoom(1.05);
+    if (key === '-' || key === '_') viewport.zoom(1 / 1.05);
+    if (key === '0') viewport.resetCalibration();
+    
+    // Cycle keypoint smoothing between interpolate, extrapolate and off with S key
+    if (key === 's' || key === 'S') {
+        const index = SMOOTHING_MODES.indexOf(smoothingOptions.mode);
+        smoothingOptions.mode = SMOOTHING_MODES[(index + 1) % SMOOTHING_MODES.length];
+        if (faceTracker) {
+            faceTracker.setSmoothingOptions(smoothingOptions);
+        }
+    }
+    
+    // Cycle how particles follow the face with B key
+    if (key === 'b' || key === 'B') {
+        const index = PARTICLE_ATTRACTION_MODES.indexOf(swarms.attractionMode);
+        swarms.setAttractionMode(PARTICLE_ATTRACTION_MODES[(index + 1) % PARTICLE_ATTRACTION_MODES.length]);
+    }
+    
+    // Cycle the holes of the negative-space void (none, mouth, eyes, both) with J key
+    if (key === 'j' || key === 'J') {
+        const index = NEGATIVE_SPACE_HOLES.indexOf(swarms.holeMode);
+        swarms.setHoleMode(NEGATIVE_SPACE_HOLES[(index + 1) % NEGATIVE_SPACE_HOLES.length]);
+    }
+    
+    // Switch presets with the number keys (cross-fades)
+    if (key >= '1' && key <= '9') {
+        presets.select(Number(key) - 1);
+    }
+    
+    // Export the current preset with P key, import one with Shift+P
+    if (key === 'p') {
+        presets.exportPreset();
+    }
+    if (key === 'P' && presetInput) {
+        presetInput.elt.click();
+    }
+    
+    // Switch between the sprite and ellipse renderers with G key
+    if (key === 'g' || key === 'G') {
+        const index = PARTICLE_RENDER_MODES.indexOf(swarms.renderMode);
+        swarms.setRenderMode(PARTICLE_RENDER_MODES[(index + 1) % PARTICLE_RENDER_MODES.length]);
+    }
+    
+    // Switch particle colours between the palette and the video with C key
+    if (key === 'c' || key === 'C') {
+        const index = PARTICLE_COLOR_MODES.indexOf(swarms.colorMode);
+        swarms.setColorMode(PARTICLE_COLOR_MODES[(index + 1) % PARTICLE_COLOR_MODES.length]);
+    }
+    
+    // Cycle the post-processing stacks (none, glow, smoke, tunnel) with E key
+    if (key === 'e' || key === 'E') {
+        postEffects.cycleStack();
+    }
+    
+    // Cycle where new particles come from (scatter, features, edges, contour) with L key
+    if (key === 'l' || key === 'L') {
+        const names = Object.keys(EMITTER_SETS);
+        swarms.setEmitterSet(names[(names.indexOf(swarms.emitterSet) + 1) % names.length]);
+    }
+    
+    // Cycle the force field sets (none, breeze, whirlpool, rain, storm) with K key
+    if (key === 'k' || key === 'K') {
+        const names = Object.keys(FORCE_FIELD_SETS);
+        swarms.setForceSet(names[(names.indexOf(swarms.forceSet) + 1) % names.length]);
+    }
+    
+    // Face mesh: M cycles off/wireframe/shaded, N how particles hold on to it, X shatters it
+    if (key === 'm' || key === 'M') {
+        const index = FACE_SURFACE_STYLES.indexOf(swarms.surfaceStyle);
+        swarms.setSurfaceStyle(FACE_SURFACE_STYLES[(index + 1) % FACE_SURFACE_STYLES.length]);
+    }
+    if (key === 'n' || key === 'N') {
+        const index = FACE_SURFACE_INTERACTIONS.indexOf(swarms.surfaceInteraction);
+        swarms.setSurfaceInteraction(FACE_SURFACE_INTERACTIONS[(index + 1) % FACE_SURFACE_INTERACTIONS.length]);
+    }
+    if (key === 'x' || key === 'X') {
+        swarms.shatterSurfaces();
+    }
+    
+    // Long-exposure imprint: I turns it on and off, Shift+I saves it as a PNG,
+    // U freezes it and Y fades it away for a fresh exposure
+    if (key === 'i') {
+        imprint.toggle();
+    }
+    if (key === 'I') {
+        imprint.export(presets.getTarget().background);
+    }
+    if (key === 'u' || key === 'U') {
+        imprint.toggleFreeze();
+    }
+    if (key === 'y' || key === 'Y') {
+        imprint.fadeAway();
+    }
+    
+    // Toggle head pose driving the swarm with H key
+    if (key === 'h' || key === 'H') {
+        isHeadPoseDriving = !isHeadPoseDriving;
+    }
+    
+    // Record landmarks with R key: stopping saves JSON, or NDJSON with Shift+R
+    if (key === 'r' || key === 'R') {
+        toggleRecording(key === 'R' ? 'ndjson' : 'json');
+    }
+    
+    // Switch replay timing between recorded timing and one frame per draw with T key
+    if ((key === 't' || key === 'T') && faceTracker && faceTracker.isReplaying) {
+        const source = faceTracker.getSource();
+        source.setMode(source.mode === 'realtime' ? 'step' : 'realtime');
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,78 @@
+// SpatialGrid is a uniform grid index for fast neighbour queries.
+// It is meant to be cleared and rebuilt every frame: inserting is cheap,
+// and queries only look at the cells overlapping the search radius.
+class SpatialGrid {
+    constructor(cellSize = 50) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.size = 0;
+    }
+
+    // Change the cell size (takes effect on the next rebuild)
+    setCellSize(cellSize) {
+        if (cellSize > 0 && cellSize !== this.cellSize) {
+            this.cellSize = cellSize;
+            this.cells.clear();
+        }
+    }
+
+    // Numeric key for a cell; avoids building strings every frame
+    cellKey(cx, cy) {
+        return (cx + 32768) * 65536 + (cy + 32768);
+    }
+
+    // Empty every cell but keep the arrays around for reuse
+    clear() {
+        for (const cell of this.cells.values()) {
+            cell.length = 0;
+        }
+        this.size = 0;
+    }
+
+    // Insert an item at a position
+    insert(item, x, y) {
+        const key = this.cellKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(item);
+        this.size++;
+    }
+
+    // Remove an item inserted at a position (order within its cell is not kept)
+    remove(item, x, y) {
+        const cell = this.cells.get(this.cellKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize)));
+        const k = cell ? cell.indexOf(item) : -1;
+        if (k < 0) return false;
+        cell[k] = cell[cell.length - 1];
+        cell.pop();
+        this.size--;
+        return true;
+    }
+
+    // Collect every item in the cells overlapping a circle.
+    // Results are candidates only: callers still check the exact distance.
+    query(x, y, radius, out = []) {
+        out.length = 0;
+        if (this.size === 0) return out;
+
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minY = Math.floor((y - radius) / this.cellSize);
+        const maxY = Math.floor((y + radius) / this.cellSize);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const cell = this.cells.get(this.cellKey(cx, cy));
+                if (!cell) continue;
+                for (let i = 0; i < cell.length; i++) {
+                    out.push(cell[i]);
+                }
+            }
+        }
+
+        return out;
+    }
+}
@@ -0,0 +1,242 @@
+// SwarmManager gives every tracked face its own ParticleSystem.
+// The primary swarm always exists: it follows one face at a time and drifts
+// freely when nobody is there, like the single swarm used to. Every extra face
+// gets a swarm with its own palette that forms when the face arrives and
+// dissolves (particles decay away) when it leaves. The particle budget is
+// split evenly between the swarms of the faces present.
+
+// Palettes for the swarms of extra faces
+const SWARM_PALETTES = [
+    { r: [200, 255], g: [90, 170], b: [60, 130], a: [255, 255] },  // Ember
+    { r: [60, 140], g: [150, 230], b: [200, 255], a: [255, 255] }, // Ice
+    { r: [90, 170], g: [200, 255], b: [110, 180], a: [255, 255] }, // Moss
+    { r: [180, 240], g: [90, 150], b: [200, 255], a: [255, 255] }  // Orchid
+];
+
+class SwarmManager {
+    constructor(totalParticles = 600) {
+        this.totalParticles = totalParticles;
+        this.primary = new ParticleSystem(totalParticles);
+        this.primaryFaceId = null;
+        this.swarms = new Map(); // Face id -> ParticleSystem, for faces other than the primary one
+        this.dissolving = [];    // Swarms whose face left, fading out
+        this.formRate = 10;      // Particles added per frame while a new swarm forms
+        this.attractionMode = this.primary.attractionMode; // Shared by every swarm (PARTICLE_ATTRACTION_MODES)
+        this.preset = null;      // Last preset applied (see presets.js)
+        this.renderMode = this.primary.renderMode; // Shared by every swarm (PARTICLE_RENDER_MODES)
+        this.surfaceStyle = this.primary.surfaceStyle; // Shared by every swarm (FACE_SURFACE_STYLES)
+        this.surfaceInteraction = this.primary.surfaceInteraction; // Shared by every swarm (FACE_SURFACE_INTERACTIONS)
+        this.colorMode = this.primary.colorMode; // Shared by every swarm (PARTICLE_COLOR_MODES)
+        this.forces = this.primary.forces; // Force fields, one list shared by every swarm
+        this.forceSet = 'none'; // Last of FORCE_FIELD_SETS chosen, or 'custom'
+        this.emitterSet = 'scatter'; // EMITTER_SETS entry every swarm emits with
+        this.holeMode = this.primary.obstacle.holeMode; // Holes in the negative-space void (NEGATIVE_SPACE_HOLES)
+    }
+
+    // Change which holes every swarm's negative-space void has
+    setHoleMode(mode) {
+        this.holeMode = mode;
+        this.forEach(swarm => {
+            swarm.obstacle.holeMode = mode;
+        });
+    }
+
+    // Give every swarm the emitters of one of EMITTER_SETS
+    setEmitterSet(name) {
+        this.emitterSet = name;
+        this.forEach(swarm => swarm.setEmitters(EMITTER_SETS[name]));
+    }
+
+    // Change how every swarm is drawn
+    setRenderMode(mode) {
+        this.renderMode = mode;
+        this.forEach(swarm => {
+            swarm.renderMode = mode;
+        });
+    }
+
+    // Change where every swarm's colours come from
+    setColorMode(mode) {
+        this.colorMode = mode;
+        this.forEach(swarm => swarm.setColorMode(mode));
+    }
+
+    // Add a force field to every swarm; returns its entry (see ParticleSystem.addForce)
+    addForce(name, settings = {}, weight = 1) {
+        this.forceSet = 'custom';
+        return this.primary.addForce(name, settings, weight);
+    }
+
+    // Remove a force field entry, or every field of a name, from every swarm
+    removeForce(entryOrName) {
+        this.forceSet = 'custom';
+        this.primary.removeForce(entryOrName);
+    }
+
+    // Replace the force fields with one of FORCE_FIELD_SETS
+    setForceSet(name) {
+        this.forces.length = 0;
+        for (const { field, settings, weight } of FORCE_FIELD_SETS[name]) {
+            this.primary.addForce(field, settings, weight);
+        }
+        this.forceSet = name;
+    }
+
+    // Change how every swarm's face surface is drawn
+    setSurfaceStyle(style) {
+        this.surfaceStyle = style;
+        this.forEach(swarm => {
+            swarm.surfaceStyle = style;
+        });
+    }
+
+    // Change how every swarm's particles react to its face surface
+    setSurfaceInteraction(interaction) {
+        this.surfaceInteraction = interaction;
+        this.forEach(swarm => {
+            swarm.surfaceInteraction = interaction;
+        });
+    }
+
+    // Shatter every face surface
+    shatterSurfaces() {
+        this.forEach(swarm => swarm.shatterSurface());
+    }
+
+    // Apply a preset to every swarm. The primary swarm takes its palette;
+    // the swarms of extra faces keep their own.
+    applyPreset(preset) {
+        if (preset === this.preset) return;
+        const previous = this.preset;
+        this.preset = preset;
+
+        this.totalParticles = preset.particleCount;
+        this.primary.applyPreset(preset, true);
+        for (const swarm of this.swarms.values()) {
+            swarm.applyPreset(preset, false);
+        }
+        for (const swarm of this.dissolving) {
+            swarm.applyPreset(preset, false);
+        }
+        // Every edit and cross-fade step is a new preset object, so the preset's
+        // mode only applies when it changes; a mode picked with the B key stays
+        if (!previous || preset.attractionMode !== previous.attractionMode) {
+            this.setAttractionMode(preset.attractionMode);
+        }
+        this.rebalance();
+    }
+
+    // Change how every swarm follows its face
+    setAttractionMode(mode) {
+        this.attractionMode = mode;
+        this.forEach(swarm => {
+            swarm.attractionMode = mode;
+        });
+    }
+
+    // Pick a palette no current swarm is using
+    nextPalette() {
+        const used = new Set([...this.swarms.values()].map(swarm => swarm.palette));
+        return SWARM_PALETTES.find(palette => !used.has(palette)) ||
+            SWARM_PALETTES[this.swarms.size % SWARM_PALETTES.length];
+    }
+
+    // Match swarms to the faces present this frame: [{ id, keypoints, mesh }], points in canvas space
+    sync(faces) {
+        const ids = new Set(faces.map(face => face.id));
+
+        // The primary swarm stays with its face until that face leaves
+        if (this.primaryFaceId !== null && !ids.has(this.primaryFaceId)) {
+            this.primaryFaceId = null;
+        }
+        if (this.primaryFaceId === null) {
+            const unclaimed = faces.find(face => !this.swarms.has(face.id));
+            if (unclaimed) {
+                this.primaryFaceId = unclaimed.id;
+            }
+        }
+
+        // Dissolve the swarms of faces that left
+        for (const [id, swarm] of this.swarms) {
+            if (!ids.has(id)) {
+                swarm.setAttractors([]);
+                swarm.maxParticles = 0;
+                this.dissolving.push(swarm);
+                this.swarms.delete(id);
+            }
+        }
+
+        // Form swarms for new faces
+        for (const face of faces) {
+            if (face.id !== this.primaryFaceId && !this.swarms.has(face.id)) {
+                const swarm = new ParticleSystem(0, {
+                    palette: this.nextPalette(),
+                    spawnRate: this.formRate
+                });
+                if (this.preset) {
+                    swarm.applyPreset(this.preset, false);
+                }
+                swarm.attractionMode = this.attractionMode;
+                swarm.renderMode = this.renderMode;
+                swarm.surfaceStyle = this.surfaceStyle;
+                swarm.surfaceInteraction = this.surfaceInteraction;
+                swarm.colorMode = this.colorMode;
+                swarm.forces = this.forces;
+                swarm.setEmitters(EMITTER_SETS[this.emitterSet]);
+                swarm.obstacle.holeMode = this.holeMode;
+                this.swarms.set(face.id, swarm);
+            }
+        }
+
+        // Point every swarm at its face
+        this.primary.setAttractors([]);
+        for (const face of faces) {
+            const swarm = face.id === this.primaryFaceId ? this.primary : this.swarms.get(face.id);
+            swarm.setAttractors(face.keypoints, face.mesh);
+        }
+
+        this.rebalance();
+    }
+
+    // Share the particle budget between the active swarms
+    rebalance() {
+        const share = Math.floor(this.totalParticles / (this.swarms.size + 1));
+        this.primary.maxParticles = this.totalParticles - share * this.swarms.size;
+        for (const swarm of this.swarms.values()) {
+            swarm.maxParticles = share;
+        }
+    }
+
+    // Call a function for every swarm, including dissolving ones
+    forEach(callback) {
+        callback(this.primary);
+        for (const swarm of this.swarms.values()) {
+            callback(swarm);
+        }
+        for (const swarm of this.dissolving) {
+            callback(swarm);
+        }
+    }
+
+    // Update all swarms and drop dissolved ones
+    update() {
+        this.forEach(swarm => swarm.update());
+        this.dissolving = this.dissolving.filter(swarm => swarm.particles.length > 0);
+    }
+
+    // Display all swarms
+    display() {
+        this.forEach(swarm => swarm.display());
+    }
+
+    // Get the swarm following a face, or null
+    getSwarmForFace(id) {
+        if (id === this.primaryFaceId) return this.primary;
+        return this.swarms.get(id) || null;
+    }
+
+    // Number of faces with a swarm
+    getFaceCount() {
+        return this.swarms.size + (this.primaryFaceId !== null ? 1 : 0);
+    }
+}
@@ -0,0 +1,268 @@
+// TuningPanel is an in-app control panel for the preset in use: sliders for
+// the numbers, colour pickers for colours and a menu for the attraction mode,
+// built from PRESET_SCHEMA. Changes apply live (the swarms pick up the edited
+// preset next frame) and are saved in localStorage per preset name, so a
+// reload restores every tuned preset without editing any code.
+
+const TUNING_STORAGE_KEY = 'theFace.tuning';
+
+// Labels and slider steps for the panel, in display order
+const TUNING_CONTROLS = [
+    { field: 'particleCount', label: 'Particles', step: 10 },
+    { field: 'maxSpeed', label: 'Max speed', step: 0.1 },
+    { field: 'maxForce', label: 'Max force', step: 0.005 },
+    { field: 'separation', label: 'Separation', step: 0.05 },
+    { field: 'alignment', label: 'Alignment', step: 0.05 },
+    { field: 'cohesion', label: 'Cohesion', step: 0.05 },
+    { field: 'attractionMode', label: 'Attraction' },
+    { field: 'attractionRadius', label: 'Attraction radius', step: 5 },
+    { field: 'attractionStrength', label: 'Attraction strength', step: 0.1 },
+    { field: 'decay', label: 'Decay (lifespan/frame)', step: 0.1 },
+    { field: 'size', label: 'Size', step: 0.5 },
+    { field: 'palette', label: 'Colours' },
+    { field: 'colorPalette', label: 'Named palette' },
+    { field: 'colorMapping', label: 'Colour by' },
+    { field: 'colorCycle', label: 'Palette cycle (per second)', step: 0.01 },
+    { field: 'background', label: 'Background' },
+    { field: 'trailAlpha', label: 'Trail fade', step: 1 }
+];
+
+// Convert between [r, g, b] and '#rrggbb' for colour pickers
+function rgbToHex(rgb) {
+    return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToRgb(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+class TuningPanel {
+    constructor(presets, parent = 'experience') {
+        this.presets = presets;
+        this.shown = null;   // Preset the controls currently show
+        this.inputs = {};    // Field -> function that writes a preset's value into the controls
+        this.isOpen = false;
+
+        this.panel = createDiv();
+        this.panel.addClass('tuning-panel');
+        this.panel.parent(parent);
+        this.panel.hide();
+
+        this.title = createDiv('');
+        this.title.addClass('tuning-title');
+        this.title.parent(this.panel);
+
+        for (const control of TUNING_CONTROLS) {
+            this.createControl(control);
+        }
+
+        const buttons = createDiv();
+        buttons.addClass('tuning-buttons');
+        buttons.parent(this.panel);
+
+        const exportButton = createButton('Export');
+        exportButton.parent(buttons);
+        exportButton.mousePressed(() => this.presets.exportPreset());
+
+        const resetButton = createButton('Reset');
+        resetButton.parent(buttons);
+        resetButton.mousePressed(() => this.reset());
+
+        // Status line outside the panel, so messages show whether or not it is open
+        this.status = createDiv('');
+        this.status.addClass('tuning-status');
+        this.status.parent(parent);
+        this.status.hide();
+        this.statusTimer = null;
+    }
+
+    // Show a message on screen for a few seconds, e.g. why a preset import failed
+    showMessage(message, isError = false, duration = 6000) {
+        this.status.elt.textContent = message;
+        if (isError) {
+            this.status.addClass('error');
+        } else {
+            this.status.removeClass('error');
+        }
+        this.status.show();
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => this.status.hide(), duration);
+    }
+
+    // Build the controls for one preset field
+    createControl({ field, label, step }) {
+        const spec = PRESET_SCHEMA[field];
+        const row = createDiv();
+        row.addClass('tuning-row');
+        row.parent(this.panel);
+
+        const name = createSpan(label);
+        name.parent(row);
+        const value = createSpan('');
+        value.addClass('tuning-value');
+
+        if (spec.type === 'number' || spec.type === 'integer') {
+            const slider = createSlider(spec.min, spec.max, spec.default, step);
+            slider.parent(row);
+            slider.input(() => this.change(field, Number(slider.value())));
+            this.inputs[field] = current => {
+                slider.value(current);
+                value.html(current.toFixed(step < 1 ? String(step).split('.')[1].length : 0));
+            };
+        } else if (spec.type === 'range') {
+            const low = createSlider(spec.min, spec.max, spec.default[0], step);
+            const high = createSlider(spec.min, spec.max, spec.default[1], step);
+            low.parent(row);
+            high.parent(row);
+            // Keep min <= max by moving the other end along
+            low.input(() => this.change(field, [Number(low.value()), Math.max(Number(low.value()), Number(high.value()))]));
+            high.input(() => this.change(field, [Math.min(Number(low.value()), Number(high.value())), Number(high.value())]));
+            this.inputs[field] = current => {
+                low.value(current[0]);
+                high.value(current[1]);
+                value.html(`${current[0]}–${current[1]}`);
+            };
+        } else if (spec.type === 'enum') {
+            const select = createSelect();
+            select.parent(row);
+            for (const option of spec.values) {
+                select.option(option);
+            }
+            select.changed(() => this.change(field, select.value()));
+            this.inputs[field] = current => select.selected(current);
+        } else if (spec.type === 'color') {
+            const picker = createColorPicker(rgbToHex(spec.default));
+            picker.parent(row);
+            picker.input(() => this.change(field, hexToRgb(picker.value())));
+            this.inputs[field] = current => picker.value(rgbToHex(current));
+        } else if (spec.type === 'palette') {
+            // The palette is shown as its two extreme colours plus the middle of its
+            // opacity range. Edits only touch the channels that actually changed, so
+            // ranges authored in a preset file survive touching one control.
+            const from = createColorPicker('#ffffff');
+            const to = createColorPicker('#ffffff');
+            const alpha = createSlider(0, 255, 200, 1);
+            from.parent(row);
+            to.parent(row);
+            alpha.parent(row);
+            // Set one end (0 = min, 1 = max) of the r, g, b ranges, keeping min <= max
+            const updateEnd = (end, rgb) => {
+                const palette = { ...this.presets.getTarget()[field] };
+                ['r', 'g', 'b'].forEach((channel, c) => {
+                    const range = palette[channel];
+                    if (Math.round(range[end]) === rgb[c]) return;
+                    palette[channel] = end === 0
+                        ? [rgb[c], Math.max(rgb[c], range[1])]
+                        : [Math.min(range[0], rgb[c]), rgb[c]];
+                });
+                this.change(field, palette);
+            };
+            // Move the opacity range to a new middle, keeping its width
+            const updateAlpha = () => {
+                const palette = { ...this.presets.getTarget()[field] };
+                const spread = palette.a[1] - palette.a[0];
+                const low = Math.min(255 - spread, Math.max(0, Number(alpha.value()) - spread / 2));
+                palette.a = [low, low + spread];
+                this.change(field, palette);
+            };
+            from.input(() => updateEnd(0, hexToRgb(from.value())));
+            to.input(() => updateEnd(1, hexToRgb(to.value())));
+            alpha.input(updateAlpha);
+            this.inputs[field] = current => {
+                from.value(rgbToHex([current.r[0], current.g[0], current.b[0]]));
+                to.value(rgbToHex([current.r[1], current.g[1], current.b[1]]));
+                alpha.value((current.a[0] + current.a[1]) / 2);
+            };
+        }
+
+        value.parent(row);
+    }
+
+    // Apply one edited field to the preset in use, keeping the simulation running
+    change(field, value) {
+        const edited = { ...this.presets.getTarget(), [field]: value };
+        const { preset, errors } = validatePreset(edited);
+        if (errors.length > 0) {
+            console.warn("Ignoring invalid setting:", errors.join('; '));
+            return;
+        }
+        this.presets.replaceTarget(preset);
+        this.shown = preset;
+        this.inputs[field](preset[field]);
+        this.save();
+    }
+
+    // Bring the controls up to date when the preset changes elsewhere (number keys, import)
+    sync() {
+        const preset = this.presets.getTarget();
+        if (preset === this.shown) return;
+        this.shown = preset;
+        this.title.html(`Tuning: ${preset.name}`);
+        for (const field in this.inputs) {
+            this.inputs[field](preset[field]);
+        }
+    }
+
+    // Show or hide the panel
+    toggle() {
+        this.isOpen = !this.isOpen;
+        if (this.isOpen) {
+            this.sync();
+            this.panel.show();
+        } else {
+            this.panel.hide();
+        }
+    }
+
+    // Tuned presets saved so far, keyed by preset name
+    readSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(TUNING_STORAGE_KEY));
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (err) {
+            console.warn("Could not read saved tuning:", err);
+            return {};
+        }
+    }
+
+    writeSaved(saved) {
+        try {
+            localStorage.setItem(TUNING_STORAGE_KEY, JSON.stringify(saved));
+        } catch (err) {
+            console.warn("Could not save tuning:", err);
+        }
+    }
+
+    // Persist the tuned preset alongside the others tuned before
+    save() {
+        const preset = this.presets.getTarget();
+        const saved = this.readSaved();
+        saved[preset.name] = preset;
+        this.writeSaved(saved);
+    }
+
+    // Restore every preset tuned in a previous session, leaving the selection alone
+    load() {
+        const saved = this.readSaved();
+        for (const name in saved) {
+            try {
+                this.presets.add(saved[name]);
+            } catch (err) {
+                console.warn(`Could not load tuning for "${name}":`, err);
+            }
+        }
+    }
+
+    // Go back to the untuned version of the preset and forget its saved tuning
+    reset() {
+        const name = this.presets.getTarget().name;
+        const original = BUILT_IN_PRESETS.find(preset => (preset.name || PRESET_SCHEMA.name.default) === name);
+        if (original) {
+            this.presets.replaceTarget(validatePreset(original).preset);
+        }
+        const saved = this.readSaved();
+        delete saved[name];
+        this.writeSaved(saved);
+        this.sync();
+    }
+}
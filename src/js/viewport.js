@@ -0,0 +1,193 @@
+// ViewportTransform maps landmark coordinates (source frame pixels) onto the canvas.
+// It sits between FaceTracker and ParticleSystem.setAttractors() and handles
+// fitting (contain/cover/stretch), mirroring, rotation and a manual
+// offset/scale calibration that is saved in localStorage.
+
+const VIEWPORT_STORAGE_KEY = 'theFace.viewport';
+const VIEWPORT_FIT_MODES = ['contain', 'cover', 'stretch'];
+
+class ViewportTransform {
+    constructor() {
+        this.mode = 'contain';   // How the source frame is fitted to the canvas
+        this.mirror = true;      // Mirror horizontally for a selfie view
+        this.rotation = 0;       // Degrees, clockwise on screen
+        this.calibration = {
+            offsetX: 0,          // Canvas pixels
+            offsetY: 0,
+            scale: 1
+        };
+
+        // Derived values, refreshed by update()
+        this.sourceWidth = 640;
+        this.sourceHeight = 480;
+        this.targetWidth = 640;
+        this.targetHeight = 480;
+        this.scaleX = 1;
+        this.scaleY = 1;
+        this.cos = 1;
+        this.sin = 0;
+
+        this.load();
+    }
+
+    // Recompute the transform for the current source and canvas sizes
+    update(sourceWidth, sourceHeight, targetWidth, targetHeight) {
+        if (sourceWidth > 0 && sourceHeight > 0) {
+            this.sourceWidth = sourceWidth;
+            this.sourceHeight = sourceHeight;
+        }
+        this.targetWidth = targetWidth;
+        this.targetHeight = targetHeight;
+
+        const angle = this.rotation * Math.PI / 180;
+        this.cos = Math.cos(angle);
+        this.sin = Math.sin(angle);
+
+        // Size of the source frame once rotated
+        const rotatedWidth = Math.abs(this.sourceWidth * this.cos) + Math.abs(this.sourceHeight * this.sin);
+        const rotatedHeight = Math.abs(this.sourceWidth * this.sin) + Math.abs(this.sourceHeight * this.cos);
+        const fitX = targetWidth / rotatedWidth;
+        const fitY = targetHeight / rotatedHeight;
+
+        if (this.mode === 'stretch') {
+            this.scaleX = fitX;
+            this.scaleY = fitY;
+        } else if (this.mode === 'cover') {
+            this.scaleX = this.scaleY = Math.max(fitX, fitY);
+        } else {
+            this.scaleX = this.scaleY = Math.min(fitX, fitY);
+        }
+    }
+
+    // Map one point from source pixels to canvas pixels
+    mapPoint(x, y) {
+        let px = x - this.sourceWidth / 2;
+        const py = y - this.sourceHeight / 2;
+        if (this.mirror) {
+            px = -px;
+        }
+
+        const rx = px * this.cos - py * this.sin;
+        const ry = px * this.sin + py * this.cos;
+        const s = this.calibration.scale;
+
+        return {
+            x: this.targetWidth / 2 + this.calibration.offsetX + rx * this.scaleX * s,
+            y: this.targetHeight / 2 + this.calibration.offsetY + ry * this.scaleY * s
+        };
+    }
+
+    // Map a list of keypoints to canvas-space vectors (z is scaled with the image).
+    // Feature tags (see facialFeatures.js) are kept.
+    mapPoints(points) {
+        if (!points) return [];
+
+        const depthScale = (this.scaleX + this.scaleY) / 2 * this.calibration.scale;
+        return points.map(point => {
+            const mapped = this.mapPoint(point.x, point.y);
+            const vector = createVector(mapped.x, mapped.y, (point.z || 0) * depthScale);
+            return tagKeypoint(vector, point.feature, point.index);
+        });
+    }
+
+    // Map a direction from source axes to canvas axes (mirroring and rotation only)
+    mapVector(x, y) {
+        const px = this.mirror ? -x : x;
+        return {
+            x: px * this.cos - y * this.sin,
+            y: px * this.sin + y * this.cos
+        };
+    }
+
+    // Apply the same transform to the p5 drawing state, so source-space
+    // drawing (video frames, raw landmarks) lines up with mapped points
+    applyToCanvas() {
+        const s = this.calibration.scale;
+        translate(this.targetWidth / 2 + this.calibration.offsetX, this.targetHeight / 2 + this.calibration.offsetY);
+        scale(this.scaleX * s, this.scaleY * s);
+        rotate(this.rotation * Math.PI / 180);
+        if (this.mirror) {
+            scale(-1, 1);
+        }
+        translate(-this.sourceWidth / 2, -this.sourceHeight / 2);
+    }
+
+    // Switch to the next fit mode
+    cycleMode() {
+        const index = VIEWPORT_FIT_MODES.indexOf(this.mode);
+        this.mode = VIEWPORT_FIT_MODES[(index + 1) % VIEWPORT_FIT_MODES.length];
+        this.save();
+    }
+
+    // Toggle horizontal mirroring
+    toggleMirror() {
+        this.mirror = !this.mirror;
+        this.save();
+    }
+
+    // Rotate by a number of degrees (e.g. 90 for a portrait-mounted camera)
+    rotateBy(degrees) {
+        this.rotation = ((this.rotation + degrees) % 360 + 360) % 360;
+        this.save();
+    }
+
+    // Nudge the calibration offset in canvas pixels
+    nudge(dx, dy) {
+        this.calibration.offsetX += dx;
+        this.calibration.offsetY += dy;
+        this.save();
+    }
+
+    // Multiply the calibration scale
+    zoom(factor) {
+        this.calibration.scale = constrain(this.calibration.scale * factor, 0.1, 10);
+        this.save();
+    }
+
+    // Clear the manual calibration
+    resetCalibration() {
+        this.calibration = { offsetX: 0, offsetY: 0, scale: 1 };
+        this.save();
+    }
+
+    // Persist settings in localStorage
+    save() {
+        try {
+            localStorage.setItem(VIEWPORT_STORAGE_KEY, JSON.stringify({
+                mode: this.mode,
+                mirror: this.mirror,
+                rotation: this.rotation,
+                calibration: this.calibration
+            }));
+        } catch (err) {
+            console.warn("Could not save viewport settings:", err);
+        }
+    }
+
+    // Restore settings saved by a previous session
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(VIEWPORT_STORAGE_KEY));
+            if (!saved) return;
+
+            if (VIEWPORT_FIT_MODES.includes(saved.mode)) this.mode = saved.mode;
+            if (typeof saved.mirror === 'boolean') this.mirror = saved.mirror;
+            if (Number.isFinite(saved.rotation)) this.rotation = saved.rotation;
+            if (saved.calibration) {
+                const { offsetX, offsetY, scale } = saved.calibration;
+                if (Number.isFinite(offsetX)) this.calibration.offsetX = offsetX;
+                if (Number.isFinite(offsetY)) this.calibration.offsetY = offsetY;
+                if (Number.isFinite(scale) && scale > 0) this.calibration.scale = scale;
+            }
+        } catch (err) {
+            console.warn("Could not load viewport settings:", err);
+        }
+    }
+
+    // Describe the current settings (for the debug overlay)
+    describe() {
+        const c = this.calibration;
+        return `${this.mode}, ${this.mirror ? 'mirrored' : 'not mirrored'}, ${this.rotation}°, ` +
+            `offset ${Math.round(c.offsetX)},${Math.round(c.offsetY)}, scale ${c.scale.toFixed(2)}`;
+    }
+}